@@ -64,6 +64,26 @@ module.exports = function(grunt) {
           filename: 'bali-nebula-repository.js',
           libraryTarget: 'umd'
         }
+      },
+      ledgerService: {
+        entry: ['./src/LedgerService.js'],
+        target: 'node',
+        mode: 'development',
+        output: {
+          path: `${process.cwd()}/dist`,
+          filename: 'bali-nebula-ledger.js',
+          libraryTarget: 'umd'
+        }
+      },
+      nebulaServer: {
+        entry: ['./src/NebulaServer.js'],
+        target: 'node',
+        mode: 'development',
+        output: {
+          path: `${process.cwd()}/dist`,
+          filename: 'bali-nebula-server.js',
+          libraryTarget: 'umd'
+        }
       }
     }
 
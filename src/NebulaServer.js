@@ -0,0 +1,36 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+// the services share the same configuration, see ./configuration for the remaining settings
+const configuration = require('./configuration').load([], {
+    port: '8080',  // NEBULA_PORT
+    host: 'localhost'  // NEBULA_HOST (use 0.0.0.0 to accept remote requests)
+});
+const debug = configuration.debug;  // logging level in range [0..3]
+
+const server = require('./server').server({
+    repository: require('./StorageService').handler,
+    ledger: require('./LedgerService').handler
+}, debug);
+
+
+if (debug > 0) console.log('Starting the "Bali Nebula™ Server"');
+server.listen(Number(configuration.port), configuration.host).then(function(address) {
+    if (debug > 0) console.log('Listening on port ' + address.port);
+}).catch(function(cause) {
+    console.error('The server could not be started: ' + cause);
+    process.exitCode = 1;
+});
+
+process.once('SIGTERM', function() {
+    if (debug > 0) console.log('Stopping the "Bali Nebula™ Server"');
+    server.close();
+});
@@ -9,27 +9,45 @@
  ************************************************************************/
 'use strict';
 
-const debug = 1;  // logging level in range [0..3]
-const configuration = {
-    names: 'bali-nebula-names-us-east-1',
-    documents: 'bali-nebula-documents-us-east-1',
-    contracts: 'bali-nebula-contracts-us-east-1',
-    messages: 'bali-nebula-messages-us-east-1'
-};
+// the configuration is validated during a cold start so that a misconfigured service fails loudly
+const types = ['names', 'documents', 'contracts', 'messages', 'usage', 'leases', 'queues', 'revisions'];
+const configuration = require('./configuration').load(types, {
+    logging: 'info',  // the level of the request log, see ./logging
+    requestRate: '10',  // write requests per second for each account, see ./quotas
+    storedBytes: '104857600',  // bytes of documents and contracts stored by each account
+    documentSize: '1048576',  // bytes in a single document, contract or message
+    messagesPerBag: '1000',  // messages waiting in a single bag
+    maximumWait: '20'  // seconds a request may wait for a message, less than the lambda timeout
+});
+const debug = configuration.debug;  // logging level in range [0..3]
+const logger = require('./logging').logger('repository', configuration.logging, undefined, debug);
+require('aws-sdk').config.update({region: configuration.region});
 
 const bali = require('bali-component-framework').api(debug);
 const notary = require('bali-digital-notary').service(debug);
-const storage = require('bali-document-repository').service(notary, configuration, debug);
-const engine = require('bali-document-repository').engine(notary, storage, debug);
+const repository = require('bali-document-repository');
+const backend = (configuration.storage === 'local') ?
+    repository.test(notary, configuration.directory, debug) :  // for running offline
+    repository.service(notary, configuration, debug);
+const bags = require('./bags').service(notary, backend, configuration, debug);  // bag capacity and ordering
+const storage = require('./leases').service(notary, bags, configuration, debug);  // message leases
+const names = require('./names').service(notary, storage, configuration, debug);  // name listings
+const engine = repository.engine(notary, names, debug);
+const batches = require('./batches').batches(debug);
+const polling = require('./polling').polling(storage, configuration.maximumWait, debug);
+const negotiation = require('./negotiation').negotiation(debug);
+const buckets = (configuration.storage === 'local') ?
+    require('./storage').local(configuration.directory, debug) :
+    require('./storage').s3(configuration, debug);
+const conditions = require('./conditions').conditions(notary, buckets, debug);
+const quotas = require('./quotas').service(notary, storage, configuration, debug);
+const monitor = require('./monitoring').monitor('repository', notary, {
+    storage: require('./monitoring').bucketCheck(buckets, types, debug)  // throws if a bucket is missing
+}, debug);
 
 
 if (debug > 0) console.log('Loading the "Bali Nebula™ Repository Service" lambda function');
-exports.handler = async function(request) {
-    const method = request.httpMethod || request.method;
-    const path = request.path;
-    if (debug > 0) console.log('Request  ' + method + ': ' + path);
-    const response = await engine.processRequest(request);
-    const status = response.statusCode;
-    if (debug > 0) console.log('Response STATUS: ' + status + '\n');
-    return response;
-};
+exports.logger = logger;  // allows the log level to be changed at runtime
+exports.handler = logger.handler(monitor.handler(negotiation.handler(conditions.handler(names.handler(quotas.handler(bags.handler(batches.handler(polling.handler(async function(request) {
+    return await engine.processRequest(request);
+})))))))));
@@ -0,0 +1,391 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a storage mechanism wrapper that enforces the capacity and ordering
+ * declared by the document in the contract for each bag:
+ * <pre>
+ *   [
+ *       $capacity: 100  (the maximum number of messages waiting in the bag, the default is unlimited)
+ *       $ordering: $fifo  (the order in which messages are removed, the default is $random)
+ *       ...
+ *   ]
+ * </pre>
+ * The following orderings are supported:
+ * <pre>
+ *   $random: the messages are removed in no particular order
+ *   $fifo: the messages are removed in the order they were added
+ *   $priority: the messages with the highest $priority attribute are removed first, and those
+ *       with the same priority are removed in the order they were added
+ * </pre>
+ * The messages in a bag with a $random ordering and no capacity are maintained by the wrapped
+ * storage mechanism.  Since it cannot remove messages in a particular order, or take back a
+ * message that exceeded the capacity of its bag, the messages in the other bags are kept in the
+ * 'queues' bucket of a bucket-style storage mechanism instead (the messages in a bag with a
+ * $random ordering are removed in the order they were added):
+ * <pre>
+ *   queues/<bag tag>/<bag version>/available/<order>-<message tag>-<message version>.bali
+ *   queues/<bag tag>/<bag version>/processing/<message tag>/<message version>.bali
+ * </pre>
+ * The identifiers of the available messages sort in the order that they are to be removed.  A
+ * message that is returned to its bag keeps its original place in the order.  A consumer claims
+ * a message by creating its processing record with a create-only write before deleting it from
+ * the available messages, so two consumers cannot both remove the same message.  If a consumer
+ * fails between those two steps (or while returning a message) the next consumer to find the
+ * message finishes the step once the processing record is stale.
+ *
+ * A request to add a message to a bag that is already at its capacity is rejected with a 409
+ * (Conflict) status.  Since two messages may be added to a bag at the same time, the bag is
+ * counted again after the message is added and the message is taken back out if the bag then
+ * exceeds its capacity.
+ */
+const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the supported orderings of the messages in a bag
+const ORDERINGS = ['$random', '$fifo', '$priority'];
+const DEFAULT_ORDERING = '$random';
+
+// the range of message priorities, a larger priority is removed sooner
+const MAXIMUM_PRIORITY = 999999;
+
+// the number of available messages that are listed at a time when removing a message
+const PAGE_SIZE = 10;
+
+// the milliseconds after which an unfinished claim or return is assumed to have failed
+const STALE_RECORD = 60000;
+
+// the request to add a message that is currently being processed in each asynchronous context
+const context = new AsyncLocalStorage();
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new message bag storage mechanism that wraps the specified storage
+ * mechanism.
+ *
+ * @param {DigitalNotary} notary The digital notary to be used to cite the messages.
+ * @param {Object} storage The storage mechanism that maintains the bag contracts and any bags
+ * with a random ordering.
+ * @param {Object} buckets The bucket-style storage mechanism used to maintain the ordered bags.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {MessageBags} The new message bag storage mechanism.
+ */
+const MessageBags = function(notary, storage, buckets, debug) {
+    debug = debug || 0;  // default is off
+    var sequence = 0;  // orders the messages added during the same millisecond
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/services/MessageBags',
+            $storage: bali.text(storage.toString())
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns a lambda handler that passes each request on to the specified handler
+     * and rejects a request to add a message to a bag that is already at its capacity.  Since
+     * the repository reports any exception thrown while adding the message as a generic failure,
+     * the capacity exception is recorded for the request that caused it.
+     *
+     * @param {Function} handler The lambda handler for the repository.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(handler) {
+        return async function(request) {
+            const method = String(request.httpMethod || request.method).toUpperCase();
+            const tokens = String(request.path).split('/');  // "/repository/messages/<tag>/<version>"
+            if (method !== 'POST' || tokens[2] !== 'messages' || tokens.length !== 5) return await handler(request);
+            const store = {};
+            var response;
+            try {
+                response = await context.run(store, handler, request);
+            } catch (exception) {
+                if (!isBagFull(exception)) throw exception;
+                store.exception = exception;
+            }
+            if (store.exception) {
+                const capacity = store.exception.getAttributes().getValue('$capacity');
+                if (debug > 2) console.log('The bag ' + tokens[3] + '/' + tokens[4] + ' is full.');
+                return encodeRejection(409, 'The bag is already at its capacity of ' + capacity + ' messages.');
+            }
+            return response;
+        };
+    };
+
+    this.nameExists = async function(name) {
+        return await storage.nameExists(name);
+    };
+
+    this.readName = async function(name) {
+        return await storage.readName(name);
+    };
+
+    this.writeName = async function(name, citation) {
+        return await storage.writeName(name, citation);
+    };
+
+    this.documentExists = async function(citation) {
+        return await storage.documentExists(citation);
+    };
+
+    this.readDocument = async function(citation) {
+        return await storage.readDocument(citation);
+    };
+
+    this.writeDocument = async function(document) {
+        return await storage.writeDocument(document);
+    };
+
+    this.deleteDocument = async function(citation) {
+        return await storage.deleteDocument(citation);
+    };
+
+    this.contractExists = async function(citation) {
+        return await storage.contractExists(citation);
+    };
+
+    this.readContract = async function(citation) {
+        return await storage.readContract(citation);
+    };
+
+    this.writeContract = async function(contract) {
+        return await storage.writeContract(contract);
+    };
+
+    this.messageAvailable = async function(bag) {
+        const settings = await bagSettings(bag);
+        if (!settings.queued) return await storage.messageAvailable(bag);
+        const identifiers = await buckets.listComponents('queues', generatePrefix(bag, 'available'), undefined, 1);
+        return identifiers.length > 0;
+    };
+
+    this.messageCount = async function(bag) {
+        const settings = await bagSettings(bag);
+        return await countMessages(bag, settings);
+    };
+
+    this.addMessage = async function(bag, message) {
+        const settings = await bagSettings(bag);
+        if (settings.capacity && await countMessages(bag, settings, settings.capacity) >= settings.capacity) {
+            throw bagFull(bag, settings);
+        }
+        if (!settings.queued) return await storage.addMessage(bag, message);
+        const citation = await notary.citeDocument(message);
+        const order = generateOrder(settings.ordering, message, sequence++);
+        const identifier = generateAvailable(bag, order, citation);
+        await buckets.writeComponent('queues', identifier, message);
+        if (settings.capacity && await countMessages(bag, settings, settings.capacity + 1) > settings.capacity) {
+            // another message was added at the same time, so take this one back out unless a
+            // consumer has already removed it
+            if (await claimMessage(bag, identifier)) {
+                await buckets.deleteComponent('queues', generateProcessing(bag, citation));
+                throw bagFull(bag, settings);
+            }
+        }
+    };
+
+    this.removeMessage = async function(bag) {
+        const settings = await bagSettings(bag);
+        if (!settings.queued) return await storage.removeMessage(bag);
+        var after;
+        while (true) {
+            const identifiers = await buckets.listComponents('queues', generatePrefix(bag, 'available'), after, PAGE_SIZE);
+            for (var i = 0; i < identifiers.length; i++) {
+                const message = await claimMessage(bag, identifiers[i]);
+                if (message) return message;  // otherwise someone else claimed it first, try the next one
+            }
+            if (identifiers.length < PAGE_SIZE) return;  // there are no more messages
+            after = identifiers[identifiers.length - 1];
+        }
+    };
+
+    this.returnMessage = async function(bag, message) {
+        const settings = await bagSettings(bag);
+        if (!settings.queued) return await storage.returnMessage(bag, message);
+        const citation = await notary.citeDocument(message);
+        const identifier = generateProcessing(bag, citation);
+        const record = await buckets.readComponent('queues', identifier);
+        if (!record) {
+            const exception = bali.exception({
+                $module: '/bali/services/MessageBags',
+                $procedure: '$returnMessage',
+                $exception: '$noMessage',
+                $bag: bag,
+                $citation: citation,
+                $text: 'The message is not being processed.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        const order = record.getValue('$order').getValue();  // keep its place in the bag
+        record.setValue('$returned', bali.moment());  // so the available message is not taken for a claimed one
+        await buckets.writeComponent('queues', identifier, record);
+        await buckets.writeComponent('queues', generateAvailable(bag, order, citation), message);
+        await buckets.deleteComponent('queues', identifier);
+    };
+
+    this.deleteMessage = async function(bag, citation) {
+        const settings = await bagSettings(bag);
+        if (!settings.queued) return await storage.deleteMessage(bag, citation);
+        const identifier = generateProcessing(bag, citation);
+        const record = await buckets.readComponent('queues', identifier);
+        if (!record) return;  // it is no longer being processed
+        await buckets.deleteComponent('queues', identifier);
+        return record.getValue('$message');
+    };
+
+    const countMessages = async function(bag, settings, limit) {
+        // the count stops at the limit, if any
+        if (!settings.queued) return await storage.messageCount(bag);
+        const identifiers = await buckets.listComponents('queues', generatePrefix(bag, 'available'), undefined, limit);
+        return identifiers.length;
+    };
+
+    const claimMessage = async function(bag, identifier) {
+        const message = await buckets.readComponent('queues', identifier);
+        if (!message) return;  // someone else removed it first
+        const citation = await notary.citeDocument(message);
+        const processing = generateProcessing(bag, citation);
+        const record = bali.catalog({
+            $order: bali.text(extractOrder(identifier)),
+            $claimed: bali.moment(),
+            $message: message
+        });
+        if (!(await buckets.createComponent('queues', processing, record))) {
+            if (await recoverMessage(identifier, processing)) return await claimMessage(bag, identifier);
+            return;  // someone else claimed it first
+        }
+        await buckets.deleteComponent('queues', identifier);
+        return message;
+    };
+
+    const recoverMessage = async function(identifier, processing) {
+        // finish a claim or return that was interrupted between its steps, returns whether the
+        // message may be claimed again
+        const record = await buckets.readComponent('queues', processing);
+        if (!record) return false;  // the claim or return has since finished
+        const stale = Date.now() - STALE_RECORD;
+        const returned = record.getValue('$returned');
+        if (returned) {
+            // the message was put back so its stale processing record is no longer needed
+            if (returned.getValue() >= stale) return false;
+            await buckets.deleteComponent('queues', processing);
+            return true;
+        }
+        const claimed = record.getValue('$claimed');
+        if (record.getValue('$order').getValue() === extractOrder(identifier) && (!claimed || claimed.getValue() < stale)) {
+            // the message was claimed, so it is no longer available
+            await buckets.deleteComponent('queues', identifier);
+        }
+        return false;
+    };
+
+    const bagFull = function(bag, settings) {
+        const exception = bali.exception({
+            $module: '/bali/services/MessageBags',
+            $procedure: '$addMessage',
+            $exception: '$bagFull',
+            $bag: bag,
+            $capacity: settings.capacity,
+            $text: 'The bag is already at its capacity.'
+        });
+        if (debug > 0) console.error(exception.toString());
+        const store = context.getStore();
+        if (store) store.exception = exception;  // the handler rejects the request
+        return exception;
+    };
+
+    const bagSettings = async function(bag) {
+        const contract = await storage.readContract(bag);
+        const document = contract ? contract.getValue('$document') : bali.catalog();
+        const capacity = document.getValue('$capacity');
+        const ordering = document.getValue('$ordering');
+        const settings = {
+            capacity: (capacity && capacity.isType('/bali/elements/Number')) ? capacity.getReal() : 0,
+            ordering: (ordering && ORDERINGS.includes(ordering.toString())) ? ordering.toString() : DEFAULT_ORDERING
+        };
+        settings.queued = settings.capacity > 0 || settings.ordering !== DEFAULT_ORDERING;
+        return settings;
+    };
+
+    return this;
+};
+MessageBags.prototype.constructor = MessageBags;
+exports.MessageBags = MessageBags;
+
+
+// PRIVATE FUNCTIONS
+
+const generatePrefix = function(bag, state) {
+    return bag.getValue('$tag').getValue() + '/' + bag.getValue('$version') + '/' + state + '/';
+};
+
+const generateAvailable = function(bag, order, citation) {
+    const tag = citation.getValue('$tag').getValue();
+    return generatePrefix(bag, 'available') + order + '-' + tag + '-' + citation.getValue('$version') + '.bali';
+};
+
+const generateProcessing = function(bag, citation) {
+    const tag = citation.getValue('$tag').getValue();
+    return generatePrefix(bag, 'processing') + tag + '/' + citation.getValue('$version') + '.bali';
+};
+
+const generateOrder = function(ordering, message, sequence) {
+    // the identifiers of the available messages sort by their order
+    const added = String(Date.now()).padStart(15, '0') + String(sequence % 1000).padStart(3, '0');
+    if (ordering !== '$priority') return added;
+    const attribute = message.getValue('$priority');
+    var priority = (attribute && attribute.isType('/bali/elements/Number')) ? Math.round(attribute.getReal()) : 0;
+    priority = Math.min(Math.max(priority, 0), MAXIMUM_PRIORITY);
+    return String(MAXIMUM_PRIORITY - priority).padStart(6, '0') + '.' + added;
+};
+
+const extractOrder = function(identifier) {
+    const name = identifier.slice(identifier.lastIndexOf('/') + 1);
+    return name.slice(0, name.indexOf('-'));
+};
+
+const isBagFull = function(exception) {
+    const attributes = (exception && exception.getAttributes) ? exception.getAttributes() : undefined;
+    const type = attributes ? attributes.getValue('$exception') : undefined;
+    return !!type && type.toString() === '$bagFull';
+};
+
+const encodeRejection = function(status, message) {
+    const error = bali.exception({
+        $module: '/bali/services/MessageBags',
+        $status: status,
+        $text: message
+    });
+    const body = error.getAttributes().toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+};
@@ -0,0 +1,67 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const storage = require('../storage');
+const MessageBags = require('./MessageBags').MessageBags;
+
+
+/**
+ * This function initializes a storage mechanism that enforces the capacity and ordering of
+ * each bag and keeps the ordered bags in the specified bucket-style storage mechanism.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The storage mechanism that maintains the bag contracts and any
+ * bags with a random ordering.
+ * @param {Object} buckets The bucket-style storage mechanism used to maintain the ordered bags.
+ * @returns {Object} The new message bag storage mechanism.
+ */
+const bags = function(notary, repository, buckets, debug) {
+    return new MessageBags(notary, repository, buckets, debug);
+};
+exports.bags = bags;
+
+/**
+ * This function initializes a storage mechanism that enforces the capacity and ordering of
+ * each bag and keeps the ordered bags in the AWS S3 queues bucket, or in the local filesystem
+ * if the storage mode of the configuration is 'local'.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The storage mechanism that maintains the bag contracts and any
+ * bags with a random ordering.
+ * @param {Object} configuration An object containing the name of the queues bucket (or the
+ * storage mode and directory).
+ * @returns {Object} The new message bag storage mechanism.
+ */
+const service = function(notary, repository, configuration, debug) {
+    const buckets = (configuration.storage === 'local') ?
+        storage.local(configuration.directory, debug) :
+        storage.s3(configuration, debug);
+    return bags(notary, repository, buckets, debug);
+};
+exports.service = service;
@@ -0,0 +1,204 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class adds batch variants of the message bag requests to the document repository:
+ * <pre>
+ *   DELETE /repository/messages/<bag tag>/<bag version>?count=<N>
+ *       removes up to N messages from the bag and returns them as a list (a wait=<seconds>
+ *       parameter applies to the first message only, see ../polling)
+ *   DELETE /repository/messages/<bag tag>/<bag version>  (with a list of message citations)
+ *       deletes each of the cited messages from the bag
+ * </pre>
+ * Each batch is processed as a sequence of the corresponding single message requests so that
+ * every message is subject to the same authentication and authorization checks as before.  The
+ * request to delete each message carries the digest of its citation (if any) in a
+ * nebula-subdigest header, just like a single message request would.
+ *
+ * The response to a batch delete contains a result for each citation in the order they were
+ * listed:
+ * <pre>
+ *   [
+ *       [
+ *           $citation: [...]
+ *           $status: 200
+ *           $message: [...]  (the deleted message)
+ *       ]
+ *       [
+ *           $citation: [...]
+ *           $status: 404
+ *           $text: "Not Found"
+ *       ]
+ *   ]
+ * </pre>
+ * The response has a 200 (OK) status if every message was deleted and a 207 (Multi-Status)
+ * status otherwise.  All other requests are passed on unchanged.
+ */
+const http = require('http');
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the largest number of messages that may be removed or deleted in one batch
+const MAXIMUM_BATCH = 100;
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new handler for batches of message bag requests.
+ *
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {MessageBatches} The new batch handler.
+ */
+const MessageBatches = function(debug) {
+    debug = debug || 0;  // default is off
+
+    /**
+     * This method returns a lambda handler that processes the batch requests using the
+     * specified handler and passes all other requests on to it.
+     *
+     * @param {Function} handler The lambda handler for the repository.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(handler) {
+        return async function(request) {
+            const method = String(request.httpMethod || request.method).toUpperCase();
+            const tokens = String(request.path).split('/');  // "/repository/messages/<tag>/<version>"
+            if (method !== 'DELETE' || tokens[2] !== 'messages' || tokens.length !== 5) return await handler(request);
+            const parameters = request.queryStringParameters || {};
+            if (parameters.count !== undefined) return await removeMessages(handler, request, parameters);
+            if (request.body) return await deleteMessages(handler, request);
+            return await handler(request);  // a single message
+        };
+    };
+
+    const removeMessages = async function(handler, request, parameters) {
+        const count = Number(parameters.count);
+        if (!Number.isInteger(count) || count < 1 || count > MAXIMUM_BATCH) {
+            return encodeError(400, 'The count must be an integer in the range [1..' + MAXIMUM_BATCH + '].');
+        }
+        const messages = bali.list();
+        while (messages.getSize() < count) {
+            const response = await handler(Object.assign({}, request, {
+                // only wait for the first message, the rest are taken if they are already there
+                queryStringParameters: (messages.getSize() === 0 && parameters.wait !== undefined) ? {wait: parameters.wait} : undefined,
+                body: undefined
+            }));
+            if (response.statusCode === 200) {
+                messages.addItem(bali.component(String(response.body)));
+                continue;
+            }
+            if (messages.getSize() === 0 && response.statusCode !== 404) return response;  // nothing was removed
+            if (debug > 2) console.log('The batch removal stopped with status: ' + response.statusCode);
+            break;  // the bag is empty or a message could not be removed
+        }
+        return encodeSuccess(200, messages);
+    };
+
+    const deleteMessages = async function(handler, request) {
+        var citations;
+        try {
+            citations = bali.component(String(request.body));
+        } catch (cause) {
+            return encodeError(400, 'The body must contain a list of message citations.');
+        }
+        if (!citations.isType('/bali/collections/List') || citations.getSize() > MAXIMUM_BATCH) {
+            return encodeError(400, 'The body must contain a list of at most ' + MAXIMUM_BATCH + ' message citations.');
+        }
+        const results = bali.list();
+        var failed = false;
+        const iterator = citations.getIterator();
+        while (iterator.hasNext()) {
+            const citation = iterator.getNext();
+            const result = bali.catalog({
+                $citation: citation
+            });
+            var response;
+            if (citation.isType('/bali/collections/Catalog') && citation.getValue('$tag') && citation.getValue('$version')) {
+                response = await handler(Object.assign({}, request, {
+                    headers: messageHeaders(request.headers, citation),
+                    path: request.path + '/' + citation.getValue('$tag').getValue() + '/' + citation.getValue('$version'),
+                    body: citation.toString()
+                }));
+            } else {
+                response = encodeError(400, 'The citation is not valid.');
+            }
+            result.setValue('$status', response.statusCode);
+            if (response.statusCode === 200) {
+                result.setValue('$message', bali.component(String(response.body)));
+            } else {
+                failed = true;
+                result.setValue('$text', errorText(response));
+            }
+            results.addItem(result);
+        }
+        return encodeSuccess(failed ? 207 : 200, results);
+    };
+
+    return this;
+};
+MessageBatches.prototype.constructor = MessageBatches;
+exports.MessageBatches = MessageBatches;
+
+
+// PRIVATE FUNCTIONS
+
+const messageHeaders = function(headers, citation) {
+    // the digest header of the batch request belongs to the bag, the subdigest to each message
+    headers = Object.assign({}, headers);
+    delete headers['nebula-subdigest'];
+    const digest = citation.getValue('$digest');
+    if (digest && digest.isType('/bali/elements/Binary')) {
+        headers['nebula-subdigest'] = digest.toString().slice(1, -1).replace(/\s+/g, '');
+    }
+    return headers;
+};
+
+const errorText = function(response) {
+    try {
+        const text = bali.component(String(response.body)).getValue('$text');
+        if (text) return text;
+    } catch (cause) {
+        // the body does not contain an exception
+    }
+    return bali.text(http.STATUS_CODES[response.statusCode] || 'Failed');
+};
+
+const encodeSuccess = function(status, component) {
+    const body = component.toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+};
+
+const encodeError = function(status, message) {
+    const error = bali.exception({
+        $module: '/bali/services/MessageBatches',
+        $status: status,
+        $text: message
+    });
+    return encodeSuccess(status, error.getAttributes());
+};
@@ -0,0 +1,342 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class adds conditional requests to the names, documents and contracts in the document
+ * repository.  Each successful read returns an etag header containing the digest of the
+ * component that was read (the same digest that a citation to it contains), and a last-modified
+ * header if the component has a $timestamp attribute.  Since a name is read as the citation to
+ * the named document, the etag of a name is the digest of the named document.  A read request may then use the
+ * following headers to avoid reading a component that has not changed:
+ * <pre>
+ *   if-none-match: "<digest>"  (or a list of them)
+ *   if-modified-since: <HTTP date>  (ignored if an if-none-match header is also present)
+ * </pre>
+ * If the component has not changed, the response has a 304 (Not Modified) status and no body.
+ *
+ * Since drafts are the only mutable components, a request to write or delete a draft document
+ * may use the following headers to avoid overwriting a change made by someone else:
+ * <pre>
+ *   if-match: "<digest>"  (the draft must exist and have this digest, or * for any digest)
+ *   if-none-match: *  (the draft must not exist yet)
+ * </pre>
+ * If the precondition fails the response has a 412 (Precondition Failed) status and an etag
+ * header containing the digest of the current draft.
+ *
+ * Each draft document also has a revision number that the service assigns and increments with
+ * each update.  The revision is kept apart from the draft, which is saved just as the client
+ * wrote it, and is returned in a header with each read and write of the draft:
+ * <pre>
+ *   nebula-revision: 3
+ * </pre>
+ * An update must pass back the revision of the draft that it is based on in the same header, and
+ * is saved as the next revision.  An update based on a stale revision (or without a revision) is
+ * rejected with a 409 (Conflict) status, the current draft as its body and the current revision
+ * in its header, so that the client can merge its changes into it and try again.
+ *
+ * Each revision is claimed with a create-only write to the 'revisions' bucket of a bucket-style
+ * storage mechanism before the draft is saved, so only one of two updates based on the same
+ * revision can succeed:
+ * <pre>
+ *   revisions/<draft tag>/<draft version>/<revision>.bali
+ * </pre>
+ * The claim is released if the repository does not save the draft, otherwise the claim of the
+ * previous revision is deleted so that only the latest claim is kept.  The claims are deleted
+ * along with the draft, so a draft that is created again (for example after the draft has been
+ * committed as a contract) starts over at the first revision.
+ *
+ * The etags generated here identify the Bali representation of each component.  The content
+ * negotiation adds a suffix to the etag of a JSON representation so that the two representations
+ * are cached separately.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the types of resources that support conditional requests
+const CONDITIONAL_TYPES = ['names', 'documents', 'contracts'];
+
+// the tag and version of a draft document in the path of a request
+const TAG = /^[0-9A-Z]+$/;
+const VERSION = /^v[0-9]+(\.[0-9]+)*$/;
+
+// the number of digits in the identifier of each revision claim, so that the claims sort in order
+const REVISION_DIGITS = 12;
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new handler for conditional requests.
+ *
+ * @param {DigitalNotary} notary The digital notary to be used to generate the digests.
+ * @param {Object} buckets The bucket-style storage mechanism used to claim the draft revisions.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {ConditionalRequests} The new conditional request handler.
+ */
+const ConditionalRequests = function(notary, buckets, debug) {
+    debug = debug || 0;  // default is off
+    const conditions = this;
+
+    /**
+     * This method returns a lambda handler that adds etags to the responses from the specified
+     * handler and evaluates the conditional headers of each request.
+     *
+     * @param {Function} handler The lambda handler for the repository.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(handler) {
+        return async function(request) {
+            const method = String(request.httpMethod || request.method).toUpperCase();
+            const tokens = String(request.path).split('/');  // "/repository/<type>/<identifier>"
+            if (!CONDITIONAL_TYPES.includes(tokens[2])) return await handler(request);
+            if (['GET', 'HEAD'].includes(method)) return await conditionalRead(handler, request, method);
+            if (tokens[2] !== 'documents' || !['PUT', 'DELETE'].includes(method)) return await handler(request);
+            const headers = request.headers || {};
+            const conditional = headerValue(headers, 'if-match') || headerValue(headers, 'if-none-match');
+            const response = (method === 'PUT' || conditional) ?
+                await conditionalWrite(handler, request, method) : await handler(request);
+            if (method === 'DELETE' && response.statusCode === 200 && TAG.test(tokens[3]) && VERSION.test(tokens[4])) {
+                await deleteClaims(tokens[3], tokens[4]);
+            }
+            return response;
+        };
+    };
+
+    /**
+     * This method returns the etag for the specified component.
+     *
+     * @param {Catalog} component The component.
+     * @returns {String} The etag for the component.
+     */
+    this.generateTag = async function(component) {
+        const citation = await notary.citeDocument(component);
+        return citationTag(citation);
+    };
+
+    const conditionalRead = async function(handler, request, method) {
+        // a HEAD response has no body to generate the etag from
+        const response = await handler(changeMethod(request, 'GET'));
+        const headers = request.headers || {};
+        const tokens = String(request.path).split('/');
+        const type = tokens[2];
+        if (response.statusCode === 200 && response.body && headerValue(response.headers || {}, 'content-type') === 'application/bali') {
+            const component = bali.component(String(response.body));
+            if (component.isType('/bali/collections/Catalog')) {
+                const etag = (type === 'names') ? citationTag(component) : await conditions.generateTag(component);
+                if (etag) response.headers = Object.assign({}, response.headers, describeComponent(etag, component));
+            }
+        }
+        if (response.statusCode === 200 && type === 'documents' && TAG.test(tokens[3]) && VERSION.test(tokens[4])) {
+            const revision = await lastClaim(tokens[3], tokens[4]);  // zero for a draft saved without one
+            response.headers = Object.assign({}, response.headers, {'nebula-revision': String(revision)});
+        }
+        if (method === 'HEAD') response.body = undefined;
+        if (response.statusCode !== 200 || !(response.headers || {}).etag) return response;
+
+        const noneMatch = headerValue(headers, 'if-none-match');
+        const modifiedSince = headerValue(headers, 'if-modified-since');
+        var unchanged = false;
+        if (noneMatch) {
+            unchanged = matchesTag(noneMatch, response.headers.etag, true);
+        } else if (modifiedSince && response.headers['last-modified']) {
+            unchanged = Date.parse(response.headers['last-modified']) <= Date.parse(modifiedSince);
+        }
+        if (!unchanged) return response;
+        if (debug > 2) console.log('The component has not been modified: ' + request.path);
+        const headersNotModified = {};
+        ['etag', 'last-modified', 'cache-control'].forEach(function(name) {
+            if (response.headers[name]) headersNotModified[name] = response.headers[name];
+        });
+        return {
+            headers: headersNotModified,
+            statusCode: 304
+        };
+    };
+
+    const conditionalWrite = async function(handler, request, method) {
+        const draft = await currentDraft(handler, request);
+        if (draft === null) return await handler(request);  // the request will be rejected
+        const current = draft && await conditions.generateTag(draft);
+        const headers = request.headers || {};
+        const match = headerValue(headers, 'if-match');
+        const noneMatch = headerValue(headers, 'if-none-match');
+        if ((match && !(current && matchesTag(match, current, false))) ||
+                (noneMatch && current && matchesTag(noneMatch, current, true))) {
+            if (debug > 2) console.log('The precondition failed for: ' + request.path);
+            const rejection = encodeError(412, 'The draft document has changed.');
+            if (current) rejection.headers.etag = current;
+            return rejection;
+        }
+        var document, revision, tokens;
+        if (method === 'PUT') {
+            try {
+                document = bali.component(String(request.body));
+            } catch (cause) {
+                return await handler(request);  // the request will be rejected
+            }
+            if (!document.isType('/bali/collections/Catalog')) return await handler(request);  // the request will be rejected
+            tokens = String(request.path).split('/');  // "/repository/documents/<tag>/<version>"
+            if (!TAG.test(tokens[3]) || !VERSION.test(tokens[4])) return await handler(request);  // the request will be rejected
+            const latest = await lastClaim(tokens[3], tokens[4]);
+            if (draft && Number(headerValue(headers, 'nebula-revision')) !== latest) {
+                if (debug > 2) console.log('The update is based on a stale revision of: ' + request.path);
+                return encodeConflict(draft, current, latest);
+            }
+            revision = latest + 1;
+            const claim = bali.catalog({$revision: revision, $timestamp: bali.moment()});
+            if (!(await buckets.createComponent('revisions', generateClaim(tokens[3], tokens[4], revision), claim))) {
+                if (debug > 2) console.log('Another update claimed the next revision of: ' + request.path);
+                const changed = await currentDraft(handler, request);
+                if (!changed) return encodeError(409, 'The draft document has changed.');
+                return encodeConflict(changed, await conditions.generateTag(changed), await lastClaim(tokens[3], tokens[4]));
+            }
+        }
+        const response = await handler(request);
+        if (revision && response.statusCode > 299) {
+            await buckets.deleteComponent('revisions', generateClaim(tokens[3], tokens[4], revision));  // release the revision
+        } else if (revision && response.statusCode < 300) {
+            await buckets.deleteComponent('revisions', generateClaim(tokens[3], tokens[4], revision - 1));  // only keep the latest
+            response.headers = Object.assign({}, response.headers, {
+                'etag': await conditions.generateTag(document),
+                'nebula-revision': String(revision)
+            });
+        }
+        return response;
+    };
+
+    const lastClaim = async function(tag, version) {
+        // only the latest claim is kept, along with that of an update in progress
+        const claims = await buckets.listComponents('revisions', tag + '/' + version + '/');
+        if (claims.length === 0) return 0;
+        const last = claims[claims.length - 1];
+        return Number(last.slice(last.lastIndexOf('/') + 1, -'.bali'.length));
+    };
+
+    const deleteClaims = async function(tag, version) {
+        const claims = await buckets.listComponents('revisions', tag + '/' + version + '/');
+        for (var i = 0; i < claims.length; i++) {
+            await buckets.deleteComponent('revisions', claims[i]);
+        }
+    };
+
+    const currentDraft = async function(handler, request) {
+        // returns the current draft, undefined if there is none, or null if it cannot be read
+        const response = await handler(Object.assign(changeMethod(request, 'GET'), {
+            headers: Object.assign(removeHeaders(request.headers || {}, ['accept', 'content-type']), {
+                'accept': 'application/bali'
+            }),
+            body: undefined
+        }));
+        if (response.statusCode === 404) return undefined;
+        if (response.statusCode !== 200 || !response.body) return null;
+        return bali.component(String(response.body));
+    };
+
+    return this;
+};
+ConditionalRequests.prototype.constructor = ConditionalRequests;
+exports.ConditionalRequests = ConditionalRequests;
+
+
+// PRIVATE FUNCTIONS
+
+const headerValue = function(headers, name) {
+    const key = Object.keys(headers).find(function(key) { return key.toLowerCase() === name; });
+    return key ? headers[key] : undefined;
+};
+
+const removeHeaders = function(headers, names) {
+    const result = {};
+    Object.keys(headers).forEach(function(key) {
+        if (!names.includes(key.toLowerCase())) result[key] = headers[key];
+    });
+    return result;
+};
+
+const changeMethod = function(request, method) {
+    const changed = Object.assign({}, request, {httpMethod: method});
+    if (request.method) changed.method = method;
+    return changed;
+};
+
+const citationTag = function(citation) {
+    const digest = citation.getValue('$digest');
+    if (!digest) return;  // it is not a citation
+    return '"' + digest.toString().replace(/[^0-9A-Z]/g, '') + '"';
+};
+
+const describeComponent = function(etag, component) {
+    const headers = {etag: etag};
+    const timestamp = component.getValue('$timestamp');
+    if (timestamp && timestamp.isType('/bali/elements/Moment')) {
+        headers['last-modified'] = new Date(timestamp.getValue()).toUTCString();
+    }
+    return headers;
+};
+
+const matchesTag = function(condition, etag, weak) {
+    // a weak comparison ignores the W/ prefix of the etags, a strong one never matches them
+    if (condition.trim() === '*') return true;
+    return condition.split(',').some(function(candidate) {
+        candidate = candidate.trim();
+        if (candidate.startsWith('W/')) {
+            if (!weak) return false;
+            candidate = candidate.slice(2);
+        }
+        return candidate === etag;
+    });
+};
+
+const generateClaim = function(tag, version, revision) {
+    return tag + '/' + version + '/' + String(revision).padStart(REVISION_DIGITS, '0') + '.bali';
+};
+
+const encodeConflict = function(draft, etag, revision) {
+    const body = draft.toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store',
+            'etag': etag,
+            'nebula-revision': String(revision)
+        },
+        statusCode: 409,
+        body: body
+    };
+};
+
+const encodeError = function(status, message) {
+    const error = bali.exception({
+        $module: '/bali/services/ConditionalRequests',
+        $status: status,
+        $text: message
+    });
+    const body = error.getAttributes().toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+};
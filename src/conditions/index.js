@@ -0,0 +1,36 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const ConditionalRequests = require('./ConditionalRequests').ConditionalRequests;
+
+
+/**
+ * This function initializes a handler that adds etags to the components read from the
+ * document repository, evaluates the conditional headers of each request and assigns the
+ * revisions of the draft documents, rejecting the updates that are based on a stale revision.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} buckets The bucket-style storage mechanism used to claim the draft revisions.
+ * @returns {ConditionalRequests} The new conditional request handler.
+ */
+const conditions = function(notary, buckets, debug) {
+    return new ConditionalRequests(notary, buckets, debug);
+};
+exports.conditions = conditions;
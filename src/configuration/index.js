@@ -0,0 +1,193 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This module builds the configuration for a Bali Nebula™ service when the service is first
+ * loaded (a cold start).  The settings may come from an optional configuration document whose
+ * path is specified by the NEBULA_CONFIGURATION environment variable:
+ * <pre>
+ *   [
+ *       $region: "us-east-1"
+ *       $stage: "beta"
+ *       $debug: 1
+ *       $buckets: [
+ *           $names: "bali-nebula-beta-names-us-east-1"
+ *           ...
+ *       ]
+ *   ]
+ * </pre>
+ * Each setting may also be specified (or overridden) using an environment variable:
+ * <pre>
+ *   NEBULA_REGION - the AWS region containing the buckets (defaults to AWS_REGION)
+ *   NEBULA_STAGE - an optional deployment stage (e.g. beta) that is part of each bucket name
+ *   NEBULA_DEBUG - the logging level in the range [0..3] (defaults to 1)
+ *   NEBULA_<TYPE>_BUCKET - the name of the bucket for a type of component (e.g. NEBULA_NAMES_BUCKET)
+ *   NEBULA_STORAGE - the storage mode, either s3 (the default) or local
+ *   NEBULA_DIRECTORY - the directory tree used by the local storage mode (defaults to ~/.bali/)
+ * </pre>
+ * The local storage mode keeps all components in the local filesystem so that a service can
+ * run offline (e.g. for testing).  It requires no region or buckets.
+ * A bucket that is not named explicitly is named 'bali-nebula-[<stage>-]<type>-<region>'.  Any
+ * additional settings required by a service are read from the document attribute or upper case
+ * environment variable with the same name (e.g. $expiration or NEBULA_EXPIRATION, and
+ * $requestRate or NEBULA_REQUEST_RATE).
+ *
+ * The resulting configuration is validated and an exception is thrown if anything required by
+ * the service is missing or invalid, so that a misconfigured service fails as soon as it loads.
+ */
+const fs = require('fs');
+const bali = require('bali-component-framework').api();
+
+
+/**
+ * This function builds and validates the configuration for a service from the specified
+ * environment variables and any configuration document that they reference.
+ *
+ * @param {Array} types The types of buckets (e.g. 'names') required by the service.
+ * @param {Object} settings An optional object mapping the name of each additional setting
+ * required by the service to its default value (or undefined if the setting is required).
+ * @param {Object} environment An optional object containing the environment variables (the
+ * default is process.env).
+ * @returns {Object} The configuration containing the region, stage, debug level, storage mode,
+ * the bucket name for each type (or the directory for local storage) and each additional setting.
+ */
+const load = function(types, settings, environment) {
+    settings = settings || {};
+    environment = environment || process.env;
+    const document = readDocument(environment.NEBULA_CONFIGURATION);
+    const lookup = function(name) {
+        const variable = environment[variableName(name)];
+        if (variable !== undefined && variable !== '') return variable;
+        const value = document.getValue('$' + name);
+        if (value !== undefined) return value.isType('/bali/elements/Text') ? value.getValue() : value.toString();
+    };
+
+    const configuration = {
+        debug: validateDebug(lookup('debug'))
+    };
+    const region = lookup('region') || environment.AWS_REGION;
+    if (region) configuration.region = region;
+    const stage = lookup('stage');
+    if (stage) configuration.stage = stage;
+    if (configuration.region && !REGION.test(configuration.region)) {
+        throw configurationException('$invalidConfiguration', 'region', configuration.region,
+            'The region must be a valid AWS region name (e.g. us-east-1).');
+    }
+    if (configuration.stage && !STAGE.test(configuration.stage)) {
+        throw configurationException('$invalidConfiguration', 'stage', configuration.stage,
+            'The stage must consist of only lowercase letters and digits.');
+    }
+    configuration.storage = lookup('storage') || DEFAULT_STORAGE;
+    if (!STORAGE_MODES.includes(configuration.storage)) {
+        throw configurationException('$invalidConfiguration', 'storage', configuration.storage,
+            'The storage mode must be one of: ' + STORAGE_MODES.join(', ') + '.');
+    }
+    if (configuration.storage === 'local') {
+        const directory = lookup('directory');
+        if (directory) configuration.directory = directory;
+        types = [];  // the local storage mode needs no buckets
+    }
+
+    // name each bucket explicitly or using the region and stage
+    const buckets = document.getValue('$buckets') || bali.catalog();
+    types.forEach(function(type) {
+        var bucket = environment['NEBULA_' + type.toUpperCase() + '_BUCKET'];
+        if (!bucket) {
+            const value = buckets.getValue('$' + type);
+            if (value) bucket = value.isType('/bali/elements/Text') ? value.getValue() : value.toString();
+        }
+        if (!bucket) {
+            if (!configuration.region) {
+                throw configurationException('$missingConfiguration', type + ' bucket', undefined,
+                    'Either the bucket name or the region (NEBULA_REGION or AWS_REGION) must be specified.');
+            }
+            bucket = 'bali-nebula-' + (configuration.stage ? configuration.stage + '-' : '') + type + '-' + configuration.region;
+        }
+        if (!BUCKET.test(bucket)) {
+            throw configurationException('$invalidConfiguration', type + ' bucket', bucket,
+                'The bucket name is not a valid S3 bucket name.');
+        }
+        configuration[type] = bucket;
+    });
+
+    // add any additional settings required by the service
+    Object.keys(settings).forEach(function(name) {
+        const value = lookup(name);
+        if (value === undefined && settings[name] === undefined) {
+            throw configurationException('$missingConfiguration', name, undefined,
+                'The setting must be specified using the ' + variableName(name) + ' environment variable.');
+        }
+        configuration[name] = (value === undefined) ? settings[name] : value;
+    });
+
+    return configuration;
+};
+exports.load = load;
+
+
+// PRIVATE CONSTANTS
+
+// the logging level when none is specified
+const DEFAULT_DEBUG = 1;
+
+// the supported storage modes
+const DEFAULT_STORAGE = 's3';
+const STORAGE_MODES = ['s3', 'local'];
+
+// the allowed formats for the settings
+const REGION = /^[a-z]{2}(-[a-z]+)+-[0-9]$/;
+const STAGE = /^[a-z0-9]{1,16}$/;
+const BUCKET = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+
+// PRIVATE FUNCTIONS
+
+const readDocument = function(path) {
+    if (!path) return bali.catalog();  // there is no configuration document
+    var document;
+    try {
+        document = bali.component(fs.readFileSync(path, 'utf8'));
+    } catch (cause) {
+        throw configurationException('$invalidConfiguration', 'document', path,
+            'The configuration document could not be read or parsed.', cause);
+    }
+    if (!document.isType('/bali/collections/Catalog')) {
+        throw configurationException('$invalidConfiguration', 'document', path,
+            'The configuration document must be a catalog.');
+    }
+    return document;
+};
+
+const variableName = function(name) {
+    return 'NEBULA_' + name.replace(/([A-Z])/g, '_$1').toUpperCase();  // requestRate => NEBULA_REQUEST_RATE
+};
+
+const validateDebug = function(value) {
+    if (value === undefined) return DEFAULT_DEBUG;
+    const debug = Number(value);
+    if (!Number.isInteger(debug) || debug < 0 || debug > 3) {
+        throw configurationException('$invalidConfiguration', 'debug', value,
+            'The debug level must be an integer in the range [0..3].');
+    }
+    return debug;
+};
+
+const configurationException = function(type, setting, value, text, cause) {
+    // the exception is reported by whatever loads the service (e.g. the lambda runtime)
+    return bali.exception({
+        $module: '/bali/services/Configuration',
+        $procedure: '$load',
+        $exception: type,
+        $setting: bali.text(setting),
+        $value: (value === undefined) ? bali.pattern.NONE : bali.text(String(value)),
+        $text: text
+    }, cause);
+};
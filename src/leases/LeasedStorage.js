@@ -0,0 +1,351 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a storage mechanism wrapper that leases each message removed from a
+ * bag to its consumer.  If the consumer does not delete the message before its lease expires
+ * the message is returned to the bag automatically.  A message that is returned, either by its
+ * consumer or because its lease expired, has failed that lease.  Once a message has failed the
+ * maximum number of leases it is moved to the dead-letter bag of its bag instead.
+ *
+ * The leases are configured by the document in the contract for each bag:
+ * <pre>
+ *   [
+ *       $timeout: ~PT5M  (how long each lease lasts, the default is five minutes)
+ *       $retries: 3  (the number of failed leases before a message is dead-lettered)
+ *       $deadLetters: [...]  (an optional citation to the dead-letter bag)
+ *       ...
+ *   ]
+ * </pre>
+ * A message whose bag has no dead-letter bag is returned to its bag however many leases fail.
+ *
+ * Each lease has a token that is added to the message as a $lease parameter when it is removed
+ * from its bag.  A consumer must return the message with the same token, or delete it using a
+ * citation of the message as it was removed (whose digest covers the token).  Once a lease has
+ * expired its token is stale, so a consumer whose lease expired cannot return or delete a message
+ * that has since been leased to another consumer.
+ *
+ * The state of each lease is kept in the 'leases' bucket of a bucket-style storage mechanism:
+ * <pre>
+ *   leases/<bag tag>/<bag version>/<message tag>/<message version>.bali
+ *   [
+ *       $message: [...]
+ *       $leased: true
+ *       $token: #<lease tag>
+ *       $expires: <2020-06-01T12:34:56.789>
+ *       $failures: 1
+ *   ]
+ * </pre>
+ * Each active lease is also indexed by when it expires:
+ * <pre>
+ *   leases/<bag tag>/<bag version>/expiring/<expires>-<message tag>-<message version>.bali
+ * </pre>
+ * Since a lambda function cannot run in the background, the expired leases for a bag are
+ * processed whenever the messages in the bag are counted or removed.  The index identifiers sort
+ * in the order that the leases expire, so only the leases that have actually expired are read.
+ * Each expired lease is first claimed with a create-only write so that only one instance returns
+ * its message to the bag:
+ * <pre>
+ *   leases/<bag tag>/<bag version>/claims/<expires>-<message tag>-<message version>.bali
+ * </pre>
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the defaults for a bag whose document does not configure its leases
+const DEFAULT_TIMEOUT = '~PT5M';
+const DEFAULT_RETRIES = 3;
+
+// how long a claim on an expired lease lasts, in case the instance holding it fails
+const CLAIM_TIMEOUT = '~PT15M';  // the longest a lambda function can run
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new leased storage mechanism that wraps the specified storage
+ * mechanism.
+ *
+ * @param {DigitalNotary} notary The digital notary to be used to cite the messages.
+ * @param {Object} storage The storage mechanism that maintains the bags and their messages.
+ * @param {Object} buckets The bucket-style storage mechanism used to maintain the leases.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {LeasedStorage} The new leased storage mechanism.
+ */
+const LeasedStorage = function(notary, storage, buckets, debug) {
+    debug = debug || 0;  // default is off
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/services/LeasedStorage',
+            $storage: bali.text(storage.toString())
+        });
+        return catalog.toString();
+    };
+
+    this.nameExists = async function(name) {
+        return await storage.nameExists(name);
+    };
+
+    this.readName = async function(name) {
+        return await storage.readName(name);
+    };
+
+    this.writeName = async function(name, citation) {
+        return await storage.writeName(name, citation);
+    };
+
+    this.documentExists = async function(citation) {
+        return await storage.documentExists(citation);
+    };
+
+    this.readDocument = async function(citation) {
+        return await storage.readDocument(citation);
+    };
+
+    this.writeDocument = async function(document) {
+        return await storage.writeDocument(document);
+    };
+
+    this.deleteDocument = async function(citation) {
+        return await storage.deleteDocument(citation);
+    };
+
+    this.contractExists = async function(citation) {
+        return await storage.contractExists(citation);
+    };
+
+    this.readContract = async function(citation) {
+        return await storage.readContract(citation);
+    };
+
+    this.writeContract = async function(contract) {
+        return await storage.writeContract(contract);
+    };
+
+    this.messageAvailable = async function(bag) {
+        await expireLeases(bag);
+        return await storage.messageAvailable(bag);
+    };
+
+    this.messageCount = async function(bag) {
+        await expireLeases(bag);
+        return await storage.messageCount(bag);
+    };
+
+    this.addMessage = async function(bag, message) {
+        return await storage.addMessage(bag, message);
+    };
+
+    this.removeMessage = async function(bag) {
+        await expireLeases(bag);
+        const message = await storage.removeMessage(bag);
+        if (!message) return;  // the bag is empty
+        const settings = await bagSettings(bag);
+        const citation = await notary.citeDocument(message);
+        const identifier = generateIdentifier(bag, citation);
+        const lease = (await buckets.readComponent('leases', identifier)) || bali.catalog({
+            $message: message,
+            $failures: 0
+        });
+        const expires = bali.moment.later(bali.moment(), settings.timeout);
+        const token = bali.tag();
+        lease.setValue('$leased', true);
+        lease.setValue('$token', token);
+        lease.setValue('$expires', expires);
+        await buckets.writeComponent('leases', identifier, lease);
+        await buckets.writeComponent('leases', generateExpiring(bag, expires, citation), citation);
+        return leasedMessage(message, token);
+    };
+
+    this.returnMessage = async function(bag, message) {
+        const citation = await notary.citeDocument(message);
+        const identifier = generateIdentifier(bag, citation);
+        const lease = await buckets.readComponent('leases', identifier);
+        const token = message.getParameter('$lease');
+        if (!lease && !token) return await storage.returnMessage(bag, message);  // it was removed before leasing
+        if (!lease || !isLeased(lease) || !matchesToken(lease, token)) {
+            throw staleLease('$returnMessage', citation, debug);
+        }
+        return await failLease(bag, citation, identifier, lease);
+    };
+
+    this.deleteMessage = async function(bag, citation) {
+        const identifier = generateIdentifier(bag, citation);
+        const lease = await buckets.readComponent('leases', identifier);
+        if (!lease) return await storage.deleteMessage(bag, citation);  // it was removed before leasing
+        if (!isLeased(lease) || !(await citesLeased(citation, lease))) {
+            throw staleLease('$deleteMessage', citation, debug);
+        }
+        await endLease(bag, citation, lease);
+        await buckets.deleteComponent('leases', identifier);
+        const message = await storage.deleteMessage(bag, await notary.citeDocument(lease.getValue('$message')));
+        const token = lease.getValue('$token');
+        return (message && token) ? leasedMessage(message, token) : message;  // as the consumer received it
+    };
+
+    const expireLeases = async function(bag) {
+        const now = Date.now();
+        const expirations = await buckets.listComponents('leases', generatePrefix(bag) + 'expiring/');
+        for (var i = 0; i < expirations.length; i++) {
+            const expiration = expirations[i];
+            if (extractExpires(expiration) > now) break;  // the rest expire even later
+            const claim = await claimExpiration(expiration);
+            if (!claim) continue;  // another instance is expiring the lease
+            const citation = await buckets.readComponent('leases', expiration);
+            const identifier = citation ? generateIdentifier(bag, citation) : undefined;
+            const lease = identifier ? await buckets.readComponent('leases', identifier) : undefined;
+            try {
+                if (!lease || !isLeased(lease) || lease.getValue('$expires').getValue() > now) {
+                    await buckets.deleteComponent('leases', expiration);  // the lease already ended or was renewed
+                } else {
+                    await failLease(bag, citation, identifier, lease);
+                }
+            } catch (cause) {
+                // leave the lease to be expired the next time the bag is accessed
+                if (debug > 0) {
+                    console.error(bali.exception({
+                        $module: '/bali/services/LeasedStorage',
+                        $procedure: '$expireLeases',
+                        $exception: '$expirationFailed',
+                        $lease: bali.text(identifier),
+                        $text: 'An expired lease could not be returned to its bag.'
+                    }, cause).toString());
+                }
+            }
+            await buckets.deleteComponent('leases', claim);
+        }
+    };
+
+    const claimExpiration = async function(expiration) {
+        const claim = expiration.replace('/expiring/', '/claims/');
+        const expires = bali.moment.later(bali.moment(), bali.component(CLAIM_TIMEOUT));
+        if (await buckets.createComponent('leases', claim, bali.catalog({$expires: expires}))) return claim;
+        const existing = await buckets.readComponent('leases', claim);
+        if (existing && existing.getValue('$expires').getValue() < Date.now()) {
+            // the instance holding the claim failed, so the next access claims the lease again
+            await buckets.deleteComponent('leases', claim);
+        }
+    };
+
+    const citesLeased = async function(citation, lease) {
+        // the digest of the message as it was leased covers the token of the lease
+        const token = lease.getValue('$token');
+        if (!token) return true;  // a lease from before the leases had tokens
+        const digest = citation.getValue('$digest');
+        if (!digest || digest.isEqualTo(bali.pattern.NONE)) return false;
+        const leased = leasedMessage(lease.getValue('$message'), token);
+        return digest.isEqualTo((await notary.citeDocument(leased)).getValue('$digest'));
+    };
+
+    const endLease = async function(bag, citation, lease) {
+        // remove the lease from the expiration index
+        if (!isLeased(lease)) return;
+        await buckets.deleteComponent('leases', generateExpiring(bag, lease.getValue('$expires'), citation));
+    };
+
+    const failLease = async function(bag, citation, identifier, lease) {
+        const settings = await bagSettings(bag);
+        await endLease(bag, citation, lease);
+        const message = lease.getValue('$message');
+        const failures = lease.getValue('$failures').getReal() + 1;
+        if (settings.deadLetters && failures >= settings.retries) {
+            await storage.deleteMessage(bag, await notary.citeDocument(message));  // in case it is still being processed
+            await storage.addMessage(settings.deadLetters, message);
+            await buckets.deleteComponent('leases', identifier);
+            if (debug > 2) console.log('The message ' + citation + ' was moved to the dead-letter bag.');
+            return;
+        }
+        lease.setValue('$leased', false);
+        lease.setValue('$token', bali.pattern.NONE);
+        lease.setValue('$expires', bali.pattern.NONE);
+        lease.setValue('$failures', failures);
+        await buckets.writeComponent('leases', identifier, lease);
+        await storage.returnMessage(bag, message);
+    };
+
+    const bagSettings = async function(bag) {
+        const contract = await storage.readContract(bag);
+        const document = contract ? contract.getValue('$document') : bali.catalog();
+        const timeout = document.getValue('$timeout');
+        const retries = document.getValue('$retries');
+        const deadLetters = document.getValue('$deadLetters');
+        return {
+            timeout: (timeout && timeout.isType('/bali/elements/Duration')) ? timeout : bali.component(DEFAULT_TIMEOUT),
+            retries: (retries && retries.isType('/bali/elements/Number')) ? retries.getReal() : DEFAULT_RETRIES,
+            deadLetters: (deadLetters && deadLetters.isType('/bali/collections/Catalog')) ? deadLetters : undefined
+        };
+    };
+
+    return this;
+};
+LeasedStorage.prototype.constructor = LeasedStorage;
+exports.LeasedStorage = LeasedStorage;
+
+
+// PRIVATE FUNCTIONS
+
+const isLeased = function(lease) {
+    return lease.getValue('$leased').toBoolean();
+};
+
+const matchesToken = function(lease, token) {
+    const expected = lease.getValue('$token');
+    if (!expected) return true;  // a lease from before the leases had tokens
+    return !!token && token.isEqualTo(expected);
+};
+
+const leasedMessage = function(message, token) {
+    const leased = message.duplicate();
+    leased.setParameter('$lease', token);
+    return leased;
+};
+
+const staleLease = function(procedure, citation, debug) {
+    const exception = bali.exception({
+        $module: '/bali/services/LeasedStorage',
+        $procedure: procedure,
+        $exception: '$staleLease',
+        $message: citation,
+        $text: 'The lease on the message has expired or belongs to another consumer.'
+    });
+    if (debug > 0) console.error(exception.toString());
+    return exception;
+};
+
+const generatePrefix = function(bag) {
+    return bag.getValue('$tag').getValue() + '/' + bag.getValue('$version') + '/';
+};
+
+const generateIdentifier = function(bag, citation) {
+    return generatePrefix(bag) + citation.getValue('$tag').getValue() + '/' + citation.getValue('$version') + '.bali';
+};
+
+const generateExpiring = function(bag, expires, citation) {
+    // the identifiers of the active leases sort by when they expire
+    const tag = citation.getValue('$tag').getValue();
+    const time = String(expires.getValue()).padStart(15, '0');
+    return generatePrefix(bag) + 'expiring/' + time + '-' + tag + '-' + citation.getValue('$version') + '.bali';
+};
+
+const extractExpires = function(identifier) {
+    const name = identifier.slice(identifier.lastIndexOf('/') + 1);
+    return Number(name.slice(0, name.indexOf('-')));
+};
@@ -0,0 +1,1288 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements the accounts, transactions and ledgers that are managed by the
+ * Bali Nebula™ ledger service.  The components are maintained in a bucket-style storage
+ * mechanism using the following types of buckets:
+ * <pre>
+ *   accounts: <account>.bali - the current state of each account
+ *   accounts: <account>/<revision>.bali - each revision of the state of each account
+ *   transactions: <transaction>.bali - each executed transaction
+ *   transactions: reversals/<transaction>.bali - the link to the reversal of a transaction
+ *   ledgers: <ledger>.bali - the current head of each ledger
+ *   ledgers: <ledger>/<sequence>.bali - each entry that has been posted to a ledger
+ * </pre>
+ *
+ * Each account may record the tag of the notary certificate belonging to its owner, and an
+ * optional list of the certificate tags of any delegates (using a $delegates attribute in the
+ * document used to create the account).  Only these principals may debit the account or read
+ * its balances and history.  A ledger that does not belong to an account is owned by the
+ * principal that posted its first entry, and only that principal may post to it or read it.  An
+ * account or ledger that was created without an owner (directly through this class rather than
+ * on behalf of a principal) is not accessible to any principal.  No principal is authorized to
+ * access an identifier that is neither an account nor an existing ledger.
+ *
+ * Transactions use double-entry semantics.  Each transaction document lists the accounts
+ * being debited and credited along with the amounts (in units of a $currency):
+ * <pre>
+ *   [
+ *       $debits: [
+ *           [$account: "<account>", $amount: 13.57($currency: $USD)]
+ *       ]
+ *       $credits: [
+ *           [$account: "<account>", $amount: 13.57($currency: $USD)]
+ *       ]
+ *   ]
+ * </pre>
+ * A debit decreases the balance of an account and a credit increases it.  Each account
+ * maintains a separate balance for each currency that it holds, and no balance may be
+ * overdrawn beyond the overdraft limit of the account (zero by default).  Each executed
+ * transaction is also posted to the ledger for each account that it touches along with the
+ * resulting balances.
+ *
+ * A transaction whose document contains a $state attribute with the value $pending is only
+ * authorized.  Instead of changing any balances it places a hold on the funds being debited
+ * from each account.  The pending transaction must later be settled, which releases the
+ * holds and applies the transaction like any other, or voided, which simply releases the
+ * holds.  A hold that is not settled before it expires (after the configured expiration
+ * duration) is ignored, and an attempt to settle its transaction is rejected.  The available
+ * balances of an account are its posted balances less any unexpired holds, and debits may
+ * only draw on the available balances.
+ *
+ * A posted transaction is never changed.  A mistake is instead corrected by reversing the
+ * transaction, which executes a new compensating transaction that swaps its debits and
+ * credits and cites the original transaction:
+ * <pre>
+ *   [
+ *       $reverses: "<transaction>"
+ *       $timestamp: <moment>
+ *       $reason: "<reason>"
+ *       $debits: <the credits of the original transaction>
+ *       $credits: <the debits of the original transaction>
+ *   ]($type: /bali/ledger/Reversal/v1)
+ * </pre>
+ * A transaction may only be reversed once, and a pending transaction must be settled before
+ * it can be reversed.
+ *
+ * The debits and credits must balance for each currency.  A transaction that exchanges one
+ * currency for another must instead cite (using an $exchange attribute) an exchange rate
+ * document that has been notarized and stored as a contract in the document repository:
+ * <pre>
+ *   [
+ *       $from: $USD
+ *       $to: $EUR
+ *       $rate: 0.92
+ *   ]($type: /bali/ledger/ExchangeRate/v1 ...)
+ * </pre>
+ * One unit of the $from currency is worth $rate units of the $to currency.  Since anyone can
+ * notarize a document, the exchange rate contract must also have been notarized using one of the
+ * certificates that the ledger has been configured to trust as exchange rate authorities.  A
+ * ledger that trusts no exchange rate authorities rejects every transaction that exchanges
+ * currencies.
+ *
+ * The entries in a ledger are fetched a page at a time.  The following optional parameters
+ * may be used to filter the entries and control the paging:
+ * <pre>
+ *   $from: <moment> - the earliest timestamp of the entries to be included
+ *   $to: <moment> - the latest timestamp of the entries to be included
+ *   $counterparty: "<account>" - only entries that debit or credit this account are included
+ *   $transaction: "<transaction>" - only entries for this transaction or its reversal are included
+ *   $minimum: <amount> - the smallest amount of the entries to be included
+ *   $maximum: <amount> - the largest amount of the entries to be included
+ *   $size: <number> - the maximum number of entries to be returned in the page
+ *   $cursor: "<cursor>" - the opaque cursor returned with the previous page
+ * </pre>
+ * The amount of an entry is the amount of each debit or credit to the account owning the
+ * ledger, or the amount of each debit if the ledger does not belong to an account.  If the
+ * $minimum or $maximum has a $currency parameter only amounts in that currency match.  Each
+ * page includes a $cursor for the next page, or none if there are no more entries.
+ *
+ * The entries in each ledger form a hash chain.  Each entry contains a $previous attribute
+ * holding a notary citation (including the digest) of the entry that preceded it, and the
+ * head of the ledger holds a citation to the latest entry.  Changing or removing any past
+ * entry breaks the chain, which can be detected by verifying the ledger.
+ *
+ * A statement for an account lists its opening balances at the start of a window of time
+ * (the optional $from and $to parameters), each transaction that was posted to the ledger
+ * for the account during that window, and its closing balances at the end of the window.
+ * The statement is notarized by the digital notary of the ledger so that its origin can be
+ * proven by anyone holding the certificate of the ledger service.
+ *
+ * Several instances of the ledger service may share the same buckets.  Each change to the state
+ * of an account increments its $revision, and the new revision is created in the accounts bucket
+ * using a write that only succeeds if that revision does not exist yet.  Each new ledger entry is
+ * created the same way.  If another instance has already committed a conflicting unit of work,
+ * the unit of work is rolled back and retried against the new state of the accounts.  So two
+ * instances can never both debit the same balance or post two entries with the same sequence.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new ledger that maintains its components using the specified
+ * bucket-style storage mechanism.
+ *
+ * @param {DigitalNotary} notary The digital notary to be used to validate the documents.
+ * @param {Object} repository The document repository containing the notarized exchange rates.
+ * @param {Object} buckets The bucket-style storage mechanism used to maintain the components.
+ * @param {Duration} expiration An optional duration after which the holds placed by a pending
+ * transaction expire (the default is one week).
+ * @param {Array} exchanges An optional list of the tags of the notary certificates belonging to
+ * the trusted exchange rate authorities (the default is none).
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Ledger} The new ledger.
+ */
+const Ledger = function(notary, repository, buckets, expiration, exchanges, debug) {
+    debug = debug || 0;  // default is off
+    expiration = expiration || bali.component(DEFAULT_EXPIRATION);
+    exchanges = (exchanges || []).map(String);
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/ledger/Ledger',
+            $buckets: bali.component(buckets.toString())
+        });
+        return catalog.toString();
+    };
+
+    this.accountExists = async function(account) {
+        const identifier = generateIdentifier('$accountExists', account);
+        return await buckets.componentExists('accounts', identifier);
+    };
+
+    this.createAccount = async function(account, document, owner) {
+        const identifier = generateIdentifier('$createAccount', account);
+        const currencies = extractCurrencies(account, document);
+        const overdraft = extractOverdraft(account, document);
+        const delegates = extractDelegates(account, document);
+        await synchronized(async function() {
+            const accountExists = function() {
+                return ledgerException('$createAccount', '$accountExists', {
+                    $account: bali.text(account),
+                    $text: 'The account already exists.'
+                }, debug);
+            };
+            if (await buckets.componentExists('accounts', identifier)) throw accountExists();
+            if (await buckets.componentExists('ledgers', identifier)) throw accountExists();  // owned by another principal
+            const balances = bali.catalog();
+            currencies.forEach(function(currency) {
+                balances.setValue(currency, amount(0, currency));
+            });
+            const state = bali.catalog({
+                $account: bali.text(account),
+                $created: bali.moment(),  // now
+                $balances: balances,
+                $holds: bali.catalog(),
+                $overdraft: overdraft,
+                $owner: owner || bali.pattern.NONE,
+                $delegates: delegates,
+                $details: document || bali.pattern.NONE,
+                $revision: 1
+            }, {
+                $type: '/bali/ledger/Account/v1'
+            });
+            if (!(await buckets.createComponent('accounts', generateRevision(account, 1), state))) {
+                throw accountExists();  // another instance created it first
+            }
+            await buckets.writeComponent('accounts', identifier, state);
+        });
+    };
+
+    this.isAuthorized = async function(account, principal) {
+        validateIdentifier('$isAuthorized', account);
+        const owned = await readState(account) || await buckets.readComponent('ledgers', account + '.bali');
+        if (!owned) return false;  // an unknown identifier is not authorized for anyone
+        return authorizedFor(owned, principal);
+    };
+
+    this.debitedAccounts = function(document) {
+        return extractAccounts(document, '$debits');
+    };
+
+    this.creditedAccounts = function(document) {
+        return extractAccounts(document, '$credits');
+    };
+
+    this.fetchBalance = async function(account) {
+        validateIdentifier('$fetchBalance', account);
+        const state = await readState(account);
+        if (state) {
+            return bali.catalog({
+                $account: state.getValue('$account'),
+                $timestamp: bali.moment(),  // now
+                $balances: state.getValue('$balances'),
+                $available: availableBalances(state)
+            }, {
+                $type: '/bali/ledger/Balance/v1'
+            });
+        }
+    };
+
+    this.transactionExists = async function(transaction) {
+        const identifier = generateIdentifier('$transactionExists', transaction);
+        return await buckets.componentExists('transactions', identifier);
+    };
+
+    this.executeTransaction = async function(transaction, document) {
+        const identifier = generateIdentifier('$executeTransaction', transaction);
+        const legs = extractLegs(transaction, document);
+        const pending = isPending(transaction, document);
+        await validateBalanced(transaction, document, legs);
+        await synchronized(async function() {
+            if (await buckets.componentExists('transactions', identifier)) {
+                throw ledgerException('$executeTransaction', '$transactionExists', {
+                    $transaction: bali.text(transaction),
+                    $text: 'The transaction has already been executed.'
+                }, debug);
+            }
+            const states = await readStates(transaction, legs);
+            // the transaction is claimed so that another instance cannot execute it at the same time
+            const changes = [{type: 'transactions', identifier: identifier, component: document, create: true}];
+            if (pending) {
+                // only hold the funds until the transaction is settled or voided
+                const expires = bali.moment.later(bali.moment(), expiration);
+                legs.forEach(function(leg) {
+                    holdLeg(transaction, states[leg.account], leg, expires);
+                });
+                Object.keys(states).forEach(function(account) {
+                    changes.push({type: 'accounts', identifier: account + '.bali', component: pruneHolds(states[account])});
+                });
+            } else {
+                await applyLegs(transaction, document, legs, states, changes);
+            }
+            await commitChanges(changes);
+        });
+    };
+
+    this.settleTransaction = async function(transaction) {
+        const identifier = generateIdentifier('$settleTransaction', transaction);
+        return await synchronized(async function() {
+            const document = await buckets.readComponent('transactions', identifier);
+            if (!document) return;  // the transaction does not exist
+            validatePending('$settleTransaction', transaction, document);
+            const legs = extractLegs(transaction, document);
+            const states = await readStates(transaction, legs);
+            const changes = [{type: 'transactions', identifier: identifier, component: document}];
+            if (!releaseHolds(transaction, states, legs)) {
+                // the holds have expired so the transaction can never be settled
+                document.setValue('$state', '$expired');
+                Object.keys(states).forEach(function(account) {
+                    changes.push({type: 'accounts', identifier: account + '.bali', component: pruneHolds(states[account])});
+                });
+                await commitChanges(changes);
+                throw ledgerException('$settleTransaction', '$holdExpired', {
+                    $transaction: bali.text(transaction),
+                    $text: 'The holds placed by the pending transaction have expired.'
+                }, debug);
+            }
+            document.setValue('$state', '$settled');
+            await applyLegs(transaction, document, legs, states, changes);
+            await commitChanges(changes);
+            return document;
+        });
+    };
+
+    this.voidTransaction = async function(transaction) {
+        const identifier = generateIdentifier('$voidTransaction', transaction);
+        return await synchronized(async function() {
+            const document = await buckets.readComponent('transactions', identifier);
+            if (!document) return;  // the transaction does not exist
+            validatePending('$voidTransaction', transaction, document);
+            const legs = extractLegs(transaction, document);
+            const states = await readStates(transaction, legs);
+            releaseHolds(transaction, states, legs);
+            document.setValue('$state', '$voided');
+            const changes = [{type: 'transactions', identifier: identifier, component: document}];
+            Object.keys(states).forEach(function(account) {
+                changes.push({type: 'accounts', identifier: account + '.bali', component: pruneHolds(states[account])});
+            });
+            await commitChanges(changes);
+            return document;
+        });
+    };
+
+    this.reverseTransaction = async function(transaction, reversal, reason) {
+        const identifier = generateIdentifier('$reverseTransaction', transaction);
+        const reversalIdentifier = generateIdentifier('$reverseTransaction', reversal);
+        const link = 'reversals/' + identifier;
+        return await synchronized(async function() {
+            const original = await buckets.readComponent('transactions', identifier);
+            if (!original) return;  // the transaction does not exist
+            if (await buckets.componentExists('transactions', link)) {
+                throw ledgerException('$reverseTransaction', '$transactionReversed', {
+                    $transaction: bali.text(transaction),
+                    $text: 'The transaction has already been reversed.'
+                }, debug);
+            }
+            const state = original.getValue('$state');
+            if (state && state.toString() !== '$settled') {
+                throw ledgerException('$reverseTransaction', '$transactionNotSettled', {
+                    $transaction: bali.text(transaction),
+                    $state: state,
+                    $text: 'Only a posted transaction may be reversed.'
+                }, debug);
+            }
+            if (await buckets.componentExists('transactions', reversalIdentifier)) {
+                throw ledgerException('$reverseTransaction', '$transactionExists', {
+                    $transaction: bali.text(reversal),
+                    $text: 'The transaction has already been executed.'
+                }, debug);
+            }
+
+            // the compensating transaction swaps the debits and credits of the original
+            const document = bali.catalog({
+                $reverses: bali.text(transaction),
+                $timestamp: bali.moment(),  // now
+                $reason: reason || bali.pattern.NONE,
+                $debits: original.getValue('$credits'),
+                $credits: original.getValue('$debits')
+            }, {
+                $type: '/bali/ledger/Reversal/v1'
+            });
+            const exchange = original.getValue('$exchange');
+            if (exchange) document.setValue('$exchange', exchange);
+            const legs = extractLegs(reversal, document);
+            await validateBalanced(reversal, document, legs);
+            const states = await readStates(reversal, legs);
+            // the reversal and its link are claimed so that the transaction is only reversed once
+            const changes = [
+                {type: 'transactions', identifier: reversalIdentifier, component: document, create: true},
+                {type: 'transactions', identifier: link, create: true, component: bali.catalog({
+                    $transaction: bali.text(transaction),
+                    $reversal: bali.text(reversal)
+                }, {
+                    $type: '/bali/ledger/ReversalLink/v1'
+                })}
+            ];
+            await applyLegs(reversal, document, legs, states, changes);
+            await commitChanges(changes);
+            return document;
+        });
+    };
+
+    this.fetchTransaction = async function(transaction) {
+        const identifier = generateIdentifier('$fetchTransaction', transaction);
+        return await buckets.readComponent('transactions', identifier);
+    };
+
+    this.ledgerExists = async function(ledger) {
+        const identifier = generateIdentifier('$ledgerExists', ledger);
+        return await buckets.componentExists('ledgers', identifier) || await buckets.componentExists('accounts', identifier);
+    };
+
+    this.postTransaction = async function(ledger, document, principal) {
+        const identifier = generateIdentifier('$postTransaction', ledger);
+        return await synchronized(async function() {
+            // the principal is authorized within the unit of work so that two principals cannot
+            // both become the owner of a new ledger
+            const owned = await readState(ledger) || await buckets.readComponent('ledgers', identifier);
+            if (principal && owned && !authorizedFor(owned, principal)) {
+                throw ledgerException('$postTransaction', '$notAuthorized', {
+                    $ledger: bali.text(ledger),
+                    $text: 'The principal is not authorized to post to the ledger.'
+                }, debug);
+            }
+            const changes = [];
+            const entry = await prepareEntry(ledger, document, {}, changes);
+            if (principal && !owned) {
+                // the principal that posts the first entry to a new ledger owns it
+                changes.filter(function(change) {
+                    return change.type === 'ledgers' && change.identifier === identifier;
+                })[0].component.setValue('$owner', principal);
+            }
+            await commitChanges(changes);
+            return entry;
+        });
+    };
+
+    this.fetchTransactions = async function(ledger, parameters) {
+        validateIdentifier('$fetchTransactions', ledger);
+        const filter = extractFilter(ledger, parameters);
+        if (!(await buckets.componentExists('ledgers', ledger + '.bali'))) return;  // the ledger does not exist
+
+        // scan a limited number of entries so that sparse matches cannot time out the request
+        const entries = bali.list();
+        var cursor = filter.cursor;
+        var more = true;
+        var scanned = 0;
+        while (more && entries.getSize() < filter.size && scanned < MAXIMUM_SCAN) {
+            const limit = Math.min(filter.size - entries.getSize(), MAXIMUM_SCAN - scanned);
+            const identifiers = await buckets.listComponents('ledgers', ledger + '/', cursor, limit);
+            more = identifiers.length === limit;
+            for (var i = 0; i < identifiers.length; i++) {
+                const entry = await buckets.readComponent('ledgers', identifiers[i]);
+                scanned++;
+                if (filter.to && entry.getValue('$timestamp').getValue() > filter.to) {
+                    more = false;  // the entries are posted in chronological order
+                    break;
+                }
+                cursor = identifiers[i];
+                if (matchesFilter(ledger, entry, filter)) entries.addItem(entry);
+            }
+        }
+        return bali.catalog({
+            $ledger: bali.text(ledger),
+            $entries: entries,
+            $cursor: more ? bali.text(encodeCursor(cursor)) : bali.pattern.NONE
+        }, {
+            $type: '/bali/ledger/Page/v1'
+        });
+    };
+
+    this.generateStatement = async function(account, parameters) {
+        validateIdentifier('$generateStatement', account);
+        const window = extractWindow(account, parameters);
+        const state = await readState(account);
+        if (!state) return;  // the account does not exist
+
+        // the balances start at zero in each currency held by the account
+        var opening = bali.catalog();
+        const iterator = state.getValue('$balances').getIterator();
+        while (iterator.hasNext()) {
+            const currency = iterator.getNext().getKey().toString();
+            opening.setValue(currency, amount(0, currency));
+        }
+
+        // walk the ledger for the account up to the end of the window
+        const transactions = bali.list();
+        var closing = opening;
+        var after;
+        var more = true;
+        while (more) {
+            const identifiers = await buckets.listComponents('ledgers', account + '/', after, VERIFY_BATCH);
+            more = identifiers.length === VERIFY_BATCH;
+            after = identifiers[identifiers.length - 1];
+            for (var i = 0; i < identifiers.length; i++) {
+                const entry = await buckets.readComponent('ledgers', identifiers[i]);
+                const timestamp = entry.getValue('$timestamp').getValue();
+                if (window.to && timestamp > window.to) {
+                    more = false;  // the entries are posted in chronological order
+                    break;
+                }
+                const balances = entry.getValue('$balances') || closing;  // posted entries have no balances
+                if (window.from && timestamp < window.from) {
+                    opening = closing = balances;
+                    continue;
+                }
+                if (transactions.getSize() === MAXIMUM_PAGE_SIZE) {
+                    throw ledgerException('$generateStatement', '$invalidParameters', {
+                        $account: bali.text(account),
+                        $text: 'The window contains more than ' + MAXIMUM_PAGE_SIZE + ' transactions, narrow it using $from and $to.'
+                    }, debug);
+                }
+                transactions.addItem(bali.catalog({
+                    $sequence: entry.getValue('$sequence'),
+                    $timestamp: entry.getValue('$timestamp'),
+                    $identifier: entry.getValue('$identifier') || bali.pattern.NONE,
+                    $transaction: entry.getValue('$transaction'),
+                    $balances: balances
+                }));
+                closing = balances;
+            }
+        }
+
+        const statement = bali.catalog({
+            $account: bali.text(account),
+            $timestamp: bali.moment(),  // now
+            $from: window.from ? parameters.getValue('$from') : bali.pattern.NONE,
+            $to: window.to ? parameters.getValue('$to') : bali.pattern.NONE,
+            $opening: opening,
+            $transactions: transactions,
+            $closing: closing
+        }, {
+            $type: '/bali/ledger/Statement/v1',
+            $tag: bali.tag(),
+            $version: 'v1',
+            $permissions: '/bali/permissions/public/v1',
+            $previous: bali.pattern.NONE
+        });
+        return await notary.notarizeDocument(statement);
+    };
+
+    this.verifyLedger = async function(ledger) {
+        const identifier = generateIdentifier('$verifyLedger', ledger);
+        const head = await buckets.readComponent('ledgers', identifier);
+        if (!head) return;  // the ledger does not exist
+        const count = head.getValue('$count').getReal();
+        const report = function(sequence, text) {
+            return bali.catalog({
+                $ledger: bali.text(ledger),
+                $timestamp: bali.moment(),  // now
+                $verified: sequence === undefined,
+                $count: count,
+                $sequence: (sequence === undefined) ? bali.pattern.NONE : sequence,
+                $text: text
+            }, {
+                $type: '/bali/ledger/Verification/v1'
+            });
+        };
+
+        // walk the chain one batch of entries at a time
+        var previous;  // the previous entry
+        var after;
+        var sequence = 0;
+        var more = true;
+        while (more) {
+            const identifiers = await buckets.listComponents('ledgers', ledger + '/', after, VERIFY_BATCH);
+            for (var i = 0; i < identifiers.length; i++) {
+                const entry = await buckets.readComponent('ledgers', identifiers[i]);
+                sequence++;
+                if (identifiers[i] !== generateEntryIdentifier(ledger, sequence) ||
+                        entry.getValue('$sequence').getReal() !== sequence) {
+                    return report(sequence, 'The entry with this sequence number is missing or out of place.');
+                }
+                if (!(await linkMatches(entry.getValue('$previous'), previous))) {
+                    return report(sequence, 'The previous entry does not match the citation in this entry.');
+                }
+                previous = entry;
+            }
+            more = identifiers.length === VERIFY_BATCH;
+            after = identifiers[identifiers.length - 1];
+        }
+        if (sequence !== count || !(await linkMatches(head.getValue('$latest'), previous))) {
+            return report(sequence + 1, 'The latest entry does not match the head of the ledger.');
+        }
+        return report(undefined, 'The chain of ledger entries is intact.');
+    };
+
+    const validateIdentifier = function(procedure, identifier) {
+        if (typeof identifier !== 'string' || !IDENTIFIER.test(identifier)) {
+            throw ledgerException(procedure, '$invalidIdentifier', {
+                $identifier: bali.text(String(identifier)),
+                $text: 'The identifier must consist of only letters, digits, dashes and underscores.'
+            }, debug);
+        }
+        return identifier;
+    };
+
+    const generateIdentifier = function(procedure, identifier) {
+        return validateIdentifier(procedure, identifier) + '.bali';
+    };
+
+    const generateRevision = function(account, revision) {
+        const padded = ('000000000000' + revision).slice(-12);  // keeps the revisions sorted
+        return account + '/' + padded + '.bali';
+    };
+
+    const generateEntryIdentifier = function(ledger, sequence) {
+        const padded = ('000000000000' + sequence).slice(-12);  // keeps the entries sorted
+        return ledger + '/' + padded + '.bali';
+    };
+
+    const extractFilter = function(ledger, parameters) {
+        const invalidParameter = function(key, value, text) {
+            return ledgerException('$fetchTransactions', '$invalidParameters', {
+                $ledger: bali.text(ledger),
+                $parameter: bali.component(key),
+                $value: value,
+                $text: text
+            }, debug);
+        };
+        const filter = {size: DEFAULT_PAGE_SIZE};
+        if (!parameters) return filter;
+        ['$from', '$to'].forEach(function(key) {
+            const moment = parameters.getValue(key);
+            if (moment === undefined) return;
+            if (!moment.isType('/bali/elements/Moment')) throw invalidParameter(key, moment, 'The value must be a moment.');
+            filter[key.slice(1)] = moment.getValue();
+        });
+        ['$minimum', '$maximum'].forEach(function(key) {
+            const amount = parameters.getValue(key);
+            if (amount === undefined) return;
+            if (!amount.isType('/bali/elements/Number')) throw invalidParameter(key, amount, 'The value must be an amount.');
+            filter[key.slice(1)] = amount;
+        });
+        const counterparty = parameters.getValue('$counterparty');
+        if (counterparty !== undefined) {
+            filter.counterparty = validateIdentifier('$fetchTransactions', extractString(counterparty));
+        }
+        const transaction = parameters.getValue('$transaction');
+        if (transaction !== undefined) {
+            filter.transaction = validateIdentifier('$fetchTransactions', extractString(transaction));
+        }
+        const size = parameters.getValue('$size');
+        if (size !== undefined) {
+            filter.size = size.isType('/bali/elements/Number') ? size.getReal() : NaN;
+            if (!Number.isInteger(filter.size) || filter.size < 1 || filter.size > MAXIMUM_PAGE_SIZE) {
+                throw invalidParameter('$size', size, 'The page size must be an integer in the range [1..' + MAXIMUM_PAGE_SIZE + '].');
+            }
+        }
+        const cursor = parameters.getValue('$cursor');
+        if (cursor !== undefined) {
+            filter.cursor = decodeCursor(extractString(cursor));
+            if (!filter.cursor || !filter.cursor.startsWith(ledger + '/')) {
+                throw invalidParameter('$cursor', cursor, 'The cursor does not belong to this ledger.');
+            }
+        }
+        return filter;
+    };
+
+    const extractWindow = function(account, parameters) {
+        const window = {};
+        if (!parameters) return window;
+        ['$from', '$to'].forEach(function(key) {
+            const moment = parameters.getValue(key);
+            if (moment === undefined) return;
+            if (!moment.isType('/bali/elements/Moment')) {
+                throw ledgerException('$generateStatement', '$invalidParameters', {
+                    $account: bali.text(account),
+                    $parameter: bali.component(key),
+                    $value: moment,
+                    $text: 'The value must be a moment.'
+                }, debug);
+            }
+            window[key.slice(1)] = moment.getValue();
+        });
+        return window;
+    };
+
+    const matchesFilter = function(ledger, entry, filter) {
+        const timestamp = entry.getValue('$timestamp').getValue();
+        if (filter.from && timestamp < filter.from) return false;
+        const legs = extractEntryLegs(entry);
+        if (filter.counterparty && !legs.some(function(leg) { return leg.account === filter.counterparty; })) return false;
+        if (filter.transaction && !concernsTransaction(entry, filter.transaction)) return false;
+        if (filter.minimum || filter.maximum) {
+            // use the amounts for the account owning the ledger if there are any, otherwise the debits
+            var amounts = legs.filter(function(leg) { return leg.account === ledger; });
+            if (amounts.length === 0) amounts = legs.filter(function(leg) { return leg.debit; });
+            return amounts.some(function(leg) {
+                return withinLimit(leg.amount, filter.minimum, 1) && withinLimit(leg.amount, filter.maximum, -1);
+            });
+        }
+        return true;
+    };
+
+    const concernsTransaction = function(entry, transaction) {
+        // an entry concerns a transaction if it posted the transaction or its reversal
+        const identifier = entry.getValue('$identifier');
+        if (identifier && extractString(identifier) === transaction) return true;
+        const document = entry.getValue('$transaction');
+        if (!document || !document.isType('/bali/collections/Catalog')) return false;
+        const reverses = document.getValue('$reverses');
+        return !!reverses && extractString(reverses) === transaction;
+    };
+
+    const extractEntryLegs = function(entry) {
+        // posted entries need not be well formed transactions so be forgiving here
+        const legs = [];
+        const document = entry.getValue('$transaction');
+        if (!document || !document.isType('/bali/collections/Catalog')) return legs;
+        ['$debits', '$credits'].forEach(function(key) {
+            const list = document.getValue(key);
+            if (!list || !list.isType('/bali/collections/List')) return;
+            const iterator = list.getIterator();
+            while (iterator.hasNext()) {
+                const item = iterator.getNext();
+                if (!item.isType('/bali/collections/Catalog')) continue;
+                const account = item.getValue('$account');
+                const amount = item.getValue('$amount');
+                if (!account || !amount || !amount.isType('/bali/elements/Number')) continue;
+                legs.push({account: extractString(account), amount: amount, debit: key === '$debits'});
+            }
+        });
+        return legs;
+    };
+
+    const extractCurrencies = function(account, document) {
+        // an account may hold a list of currencies or just a single currency
+        var currencies = document ? document.getValue('$currencies') : undefined;
+        const currency = document ? document.getValue('$currency') : undefined;
+        if (currencies === undefined) currencies = bali.list(currency ? [currency] : [DEFAULT_CURRENCY]);
+        const symbols = [];
+        if (currencies.isType('/bali/collections/List')) {
+            const iterator = currencies.getIterator();
+            while (iterator.hasNext()) {
+                const symbol = iterator.getNext();
+                if (!symbol.isType('/bali/elements/Symbol') || symbols.includes(symbol.toString())) break;
+                symbols.push(symbol.toString());
+            }
+        }
+        if (symbols.length === 0 || symbols.length !== currencies.getSize()) {
+            throw ledgerException('$createAccount', '$invalidAccount', {
+                $account: bali.text(account),
+                $currencies: currencies,
+                $text: 'The currencies for an account must be a non-empty list of unique symbols.'
+            }, debug);
+        }
+        return symbols;
+    };
+
+    const extractDelegates = function(account, document) {
+        const delegates = document ? document.getValue('$delegates') : undefined;
+        if (delegates === undefined) return bali.list();
+        const valid = delegates.isType('/bali/collections/List') && delegates.toArray().every(function(delegate) {
+            return delegate.isType('/bali/elements/Tag');
+        });
+        if (!valid) {
+            throw ledgerException('$createAccount', '$invalidAccount', {
+                $account: bali.text(account),
+                $delegates: delegates,
+                $text: 'The delegates for an account must be a list of certificate tags.'
+            }, debug);
+        }
+        return delegates;
+    };
+
+    const extractAccounts = function(document, key) {
+        // the accounts are needed before the document is validated so be forgiving here
+        const accounts = [];
+        const list = (document && document.isType('/bali/collections/Catalog')) ? document.getValue(key) : undefined;
+        if (!list || !list.isType('/bali/collections/List')) return accounts;
+        const iterator = list.getIterator();
+        while (iterator.hasNext()) {
+            const item = iterator.getNext();
+            const account = item.isType('/bali/collections/Catalog') ? item.getValue('$account') : undefined;
+            if (account && !accounts.includes(extractString(account))) accounts.push(extractString(account));
+        }
+        return accounts;
+    };
+
+    const extractOverdraft = function(account, document) {
+        const overdraft = document ? document.getValue('$overdraft') : undefined;
+        if (overdraft === undefined) return 0;
+        if (!overdraft.isType('/bali/elements/Number') || !(overdraft.getReal() >= 0)) {
+            throw ledgerException('$createAccount', '$invalidAccount', {
+                $account: bali.text(account),
+                $overdraft: overdraft,
+                $text: 'The overdraft limit for an account must be a non-negative number.'
+            }, debug);
+        }
+        return overdraft.getReal();
+    };
+
+    const extractLegs = function(transaction, document) {
+        const legs = [];
+        const extract = function(key, sign) {
+            const list = document ? document.getValue(key) : undefined;
+            if (!list || !list.isType('/bali/collections/List')) return;
+            const iterator = list.getIterator();
+            while (iterator.hasNext()) {
+                const item = iterator.getNext();
+                const isCatalog = item.isType('/bali/collections/Catalog');
+                const account = isCatalog ? item.getValue('$account') : undefined;
+                const value = isCatalog ? item.getValue('$amount') : undefined;
+                if (!account || !value || !value.isType('/bali/elements/Number') || !(value.getReal() > 0)) {
+                    throw ledgerException('$executeTransaction', '$invalidTransaction', {
+                        $transaction: bali.text(transaction),
+                        $item: item,
+                        $text: 'Each debit and credit must name an account and a positive amount.'
+                    }, debug);
+                }
+                legs.push({
+                    account: validateIdentifier('$executeTransaction', account.getValue()),
+                    currency: (value.getParameter('$currency') || bali.component(DEFAULT_CURRENCY)).toString(),
+                    amount: sign * value.getReal()
+                });
+            }
+        };
+        extract('$debits', -1);
+        extract('$credits', 1);
+        if (!legs.some(function(leg) { return leg.amount < 0; }) || !legs.some(function(leg) { return leg.amount > 0; })) {
+            throw ledgerException('$executeTransaction', '$invalidTransaction', {
+                $transaction: bali.text(transaction),
+                $text: 'A transaction must contain at least one debit and one credit.'
+            }, debug);
+        }
+        return legs;
+    };
+
+    const validateBalanced = async function(transaction, document, legs) {
+        const totals = {};
+        legs.forEach(function(leg) {
+            totals[leg.currency] = round((totals[leg.currency] || 0) + leg.amount);
+        });
+        const currencies = Object.keys(totals).filter(function(currency) {
+            return totals[currency] !== 0;
+        });
+        if (currencies.length === 0) return;  // balanced in each currency
+        const citation = document.getValue('$exchange');
+        if (citation && currencies.length === 2) {
+            // the amounts exchanged must match the notarized exchange rate
+            const exchange = await readExchange(transaction, citation);
+            const from = exchange.getValue('$from').toString();
+            const to = exchange.getValue('$to').toString();
+            const rate = exchange.getValue('$rate').getReal();
+            if (currencies.includes(from) && currencies.includes(to) && round(totals[from] * rate + totals[to]) === 0) {
+                return;  // balanced after the exchange
+            }
+        }
+        const differences = bali.catalog();
+        currencies.forEach(function(currency) {
+            differences.setValue(currency, amount(totals[currency], currency));
+        });
+        throw ledgerException('$executeTransaction', '$unbalancedTransaction', {
+            $transaction: bali.text(transaction),
+            $differences: differences,
+            $text: 'The debits and credits of the transaction do not balance.'
+        }, debug);
+    };
+
+    const readExchange = async function(transaction, citation) {
+        const invalidExchange = function(text) {
+            return ledgerException('$executeTransaction', '$invalidExchange', {
+                $transaction: bali.text(transaction),
+                $exchange: citation,
+                $text: text
+            }, debug);
+        };
+        if (!citation.isType('/bali/collections/Catalog')) {
+            throw invalidExchange('The exchange rate must be a citation to a notarized document.');
+        }
+        const contract = await repository.readContract(citation);
+        if (!contract) {
+            throw invalidExchange('The exchange rate contract does not exist in the repository.');
+        }
+        const exchange = contract.getValue('$document');
+        if (!(await notary.citationMatches(citation, exchange))) {
+            throw invalidExchange('The exchange rate contract does not match its citation.');
+        }
+        const reference = contract.getValue('$certificate');
+        if (!reference || !reference.isType('/bali/collections/Catalog')) {
+            throw invalidExchange('The exchange rate contract was not notarized by a valid certificate.');
+        }
+        const tag = reference.getValue('$tag');
+        if (!tag || !exchanges.includes(tag.toString())) {
+            throw invalidExchange('The exchange rate contract was not notarized by a trusted exchange rate authority.');
+        }
+        const certificate = await repository.readContract(reference);
+        if (!certificate || !(await notary.validContract(contract, certificate))) {
+            throw invalidExchange('The exchange rate contract was not notarized by a valid certificate.');
+        }
+        const from = exchange.getValue('$from');
+        const to = exchange.getValue('$to');
+        const rate = exchange.getValue('$rate');
+        if (!from || !from.isType('/bali/elements/Symbol') || !to || !to.isType('/bali/elements/Symbol') ||
+                !rate || !rate.isType('/bali/elements/Number') || !(rate.getReal() > 0)) {
+            throw invalidExchange('The exchange rate must name two currencies and a positive rate.');
+        }
+        return exchange;
+    };
+
+    const readState = async function(account) {
+        var state = await buckets.readComponent('accounts', account + '.bali');
+        if (!state) return;  // the account does not exist
+        // another instance may have committed later revisions without updating the current state yet
+        var next = await buckets.readComponent('accounts', generateRevision(account, revisionOf(state) + 1));
+        while (next) {
+            state = next;
+            next = await buckets.readComponent('accounts', generateRevision(account, revisionOf(state) + 1));
+        }
+        return state;
+    };
+
+    const readStates = async function(transaction, legs) {
+        const states = {};
+        for (var i = 0; i < legs.length; i++) {
+            const leg = legs[i];
+            if (states[leg.account]) continue;
+            const state = await readState(leg.account);
+            if (!state) {
+                throw ledgerException('$executeTransaction', '$unknownAccount', {
+                    $transaction: bali.text(transaction),
+                    $account: bali.text(leg.account),
+                    $text: 'The transaction refers to an account that does not exist.'
+                }, debug);
+            }
+            if (!state.getValue('$holds')) state.setValue('$holds', bali.catalog());  // an older account
+            states[leg.account] = state;
+        }
+        return states;
+    };
+
+    const applyLegs = async function(transaction, document, legs, states, changes) {
+        // apply each leg of the transaction to the current state of its account
+        legs.forEach(function(leg) {
+            applyLeg(transaction, states[leg.account], leg);
+        });
+
+        // post the transaction and each resulting balance as part of the unit of work
+        const accounts = Object.keys(states);
+        for (var i = 0; i < accounts.length; i++) {
+            const account = accounts[i];
+            const state = pruneHolds(states[account]);
+            changes.push({type: 'accounts', identifier: account + '.bali', component: state});
+            const attributes = {
+                $identifier: bali.text(transaction),
+                $balances: state.getValue('$balances')
+            };
+            const entry = await prepareEntry(account, document, attributes, changes);
+            if (debug > 2) console.log('Posting the following ledger entry: ' + entry);
+        }
+    };
+
+    const currentBalance = function(transaction, state, leg) {
+        const balances = state.getValue('$balances');
+        const current = balances.getValue(leg.currency);
+        if (!current) {
+            throw ledgerException('$executeTransaction', '$currencyMismatch', {
+                $transaction: bali.text(transaction),
+                $account: bali.text(leg.account),
+                $expected: balances.getKeys(),
+                $actual: bali.component(leg.currency),
+                $text: 'The account does not hold the currency of the amount.'
+            }, debug);
+        }
+        return current;
+    };
+
+    const validateAvailable = function(transaction, state, leg, balance) {
+        // a debit may not draw on the funds held for pending transactions
+        const available = round(balance - heldAmount(state, leg.currency));
+        const overdraft = state.getValue('$overdraft').getReal();
+        if (leg.amount < 0 && available < -overdraft) {
+            throw ledgerException('$executeTransaction', '$insufficientFunds', {
+                $transaction: bali.text(transaction),
+                $account: bali.text(leg.account),
+                $available: amount(round(available - leg.amount), leg.currency),
+                $text: 'The transaction would overdraw the account.'
+            }, debug);
+        }
+    };
+
+    const applyLeg = function(transaction, state, leg) {
+        const current = currentBalance(transaction, state, leg);
+        const balance = round(current.getReal() + leg.amount);
+        validateAvailable(transaction, state, leg, balance);
+        state.getValue('$balances').setValue(leg.currency, amount(balance, leg.currency));
+    };
+
+    const holdLeg = function(transaction, state, leg, expires) {
+        const current = currentBalance(transaction, state, leg);
+        if (leg.amount > 0) return;  // only the debits are held
+        validateAvailable(transaction, state, leg, round(current.getReal() + leg.amount));
+        const holds = state.getValue('$holds');
+        var hold = holds.getValue(bali.text(transaction));
+        if (!hold) {
+            hold = bali.catalog({
+                $expires: expires,
+                $amounts: bali.catalog()
+            });
+            holds.setValue(bali.text(transaction), hold);
+        }
+        const amounts = hold.getValue('$amounts');
+        const held = amounts.getValue(leg.currency);
+        amounts.setValue(leg.currency, amount(round((held ? held.getReal() : 0) - leg.amount), leg.currency));
+    };
+
+    const releaseHolds = function(transaction, states, legs) {
+        // returns whether or not each debited account still held the funds
+        var held = true;
+        legs.forEach(function(leg) {
+            if (leg.amount > 0) return;
+            const holds = states[leg.account].getValue('$holds');
+            const hold = holds.getValue(bali.text(transaction));
+            if (!hold || isExpired(hold)) held = false;
+            if (hold) holds.removeValue(bali.text(transaction));
+        });
+        return held;
+    };
+
+    const heldAmount = function(state, currency) {
+        var total = 0;
+        const iterator = state.getValue('$holds').getIterator();
+        while (iterator.hasNext()) {
+            const hold = iterator.getNext().getValue();
+            if (isExpired(hold)) continue;
+            const held = hold.getValue('$amounts').getValue(currency);
+            if (held) total = round(total + held.getReal());
+        }
+        return total;
+    };
+
+    const availableBalances = function(state) {
+        const available = bali.catalog();
+        const iterator = state.getValue('$balances').getIterator();
+        while (iterator.hasNext()) {
+            const currency = iterator.getNext().getKey().toString();
+            const posted = state.getValue('$balances').getValue(currency).getReal();
+            const held = state.getValue('$holds') ? heldAmount(state, currency) : 0;
+            available.setValue(currency, amount(round(posted - held), currency));
+        }
+        return available;
+    };
+
+    const pruneHolds = function(state) {
+        const holds = state.getValue('$holds');
+        const expired = [];
+        const iterator = holds.getIterator();
+        while (iterator.hasNext()) {
+            const association = iterator.getNext();
+            if (isExpired(association.getValue())) expired.push(association.getKey());
+        }
+        expired.forEach(function(key) {
+            holds.removeValue(key);
+        });
+        return state;
+    };
+
+    const isPending = function(transaction, document) {
+        const state = document ? document.getValue('$state') : undefined;
+        if (state === undefined) return false;
+        if (state.toString() !== '$pending') {
+            throw ledgerException('$executeTransaction', '$invalidTransaction', {
+                $transaction: bali.text(transaction),
+                $state: state,
+                $text: 'A new transaction may only have a $state of $pending.'
+            }, debug);
+        }
+        return true;
+    };
+
+    const validatePending = function(procedure, transaction, document) {
+        const state = document.getValue('$state');
+        if (!state || state.toString() !== '$pending') {
+            throw ledgerException(procedure, '$transactionNotPending', {
+                $transaction: bali.text(transaction),
+                $state: state || bali.pattern.NONE,
+                $text: 'Only a pending transaction may be settled or voided.'
+            }, debug);
+        }
+    };
+
+    const prepareEntry = async function(ledger, document, attributes, changes) {
+        const identifier = ledger + '.bali';
+        // a ledger may be touched more than once in the same unit of work
+        const pending = changes.filter(function(change) {
+            return change.type === 'ledgers' && change.identifier === identifier;
+        })[0];
+        var head = pending ? pending.component : await buckets.readComponent('ledgers', identifier);
+        if (!head) {
+            head = bali.catalog({
+                $ledger: bali.text(ledger),
+                $count: 0
+            }, {
+                $type: '/bali/ledger/Head/v1'
+            });
+        }
+        const sequence = head.getValue('$count').getReal() + 1;
+        const entry = bali.catalog(Object.assign({
+            $ledger: bali.text(ledger),
+            $sequence: sequence,
+            $timestamp: bali.moment(),  // now
+            $transaction: document
+        }, attributes, {
+            $previous: head.getValue('$latest') || bali.pattern.NONE
+        }), {
+            $type: '/bali/ledger/Entry/v1',
+            $tag: bali.tag(),
+            $version: 'v1'
+        });
+        head.setValue('$count', sequence);
+        head.setValue('$latest', await notary.citeDocument(entry));
+        changes.push({type: 'ledgers', identifier: generateEntryIdentifier(ledger, sequence), component: entry, create: true});
+        if (!pending) changes.push({type: 'ledgers', identifier: identifier, component: head});
+        return entry;
+    };
+
+    const commitChanges = async function(changes) {
+        // remember the original components so that the changes can be undone on failure
+        for (var i = 0; i < changes.length; i++) {
+            const change = changes[i];
+            if (!change.create) change.original = await buckets.readComponent(change.type, change.identifier);
+        }
+
+        // the next revision of each account and each new ledger entry must not exist yet
+        const claims = [];
+        changes.forEach(function(change) {
+            if (change.create) {
+                claims.push(change);
+            } else if (change.type === 'accounts') {
+                const account = change.identifier.slice(0, -'.bali'.length);
+                const revision = revisionOf(change.component) + 1;
+                change.component.setValue('$revision', revision);
+                claims.push({type: 'accounts', identifier: generateRevision(account, revision), component: change.component, create: true});
+            }
+        });
+        claims.sort(function(a, b) {
+            // claiming in the same order keeps two instances from starving each other
+            return (a.type + '/' + a.identifier).localeCompare(b.type + '/' + b.identifier);
+        });
+
+        const committed = [];
+        var conflict = false;
+        try {
+            for (i = 0; i < claims.length; i++) {
+                const claim = claims[i];
+                if (!(await buckets.createComponent(claim.type, claim.identifier, claim.component))) {
+                    conflict = true;  // another instance committed a conflicting unit of work first
+                    throw ledgerException('$commitChanges', '$concurrentUpdate', {
+                        $identifier: bali.text(claim.identifier),
+                        $text: 'The ledger was changed by another instance at the same time.'
+                    }, debug);
+                }
+                committed.push(claim);
+            }
+            for (i = 0; i < changes.length; i++) {
+                const change = changes[i];
+                if (change.create) continue;  // already claimed
+                await buckets.writeComponent(change.type, change.identifier, change.component);
+                committed.push(change);
+            }
+        } catch (cause) {
+            while (committed.length) {
+                const change = committed.pop();
+                if (change.original) {
+                    await buckets.writeComponent(change.type, change.identifier, change.original);
+                } else {
+                    await buckets.deleteComponent(change.type, change.identifier);
+                }
+            }
+            if (conflict) throw cause;
+            throw ledgerException('$commitChanges', '$commitFailed', {
+                $text: 'The changes to the ledger could not be committed and were rolled back.'
+            }, debug, cause);
+        }
+    };
+
+    const linkMatches = async function(citation, entry) {
+        if (!entry) return !citation || citation.isEqualTo(bali.pattern.NONE);  // the first entry
+        if (!citation || !citation.isType('/bali/collections/Catalog')) return false;
+        return await notary.citationMatches(citation, entry);
+    };
+
+    const encodeCursor = function(identifier) {
+        const decoder = bali.decoder(0, debug);
+        return decoder.base32Encode(Buffer.from(identifier, 'utf8')).replace(/\s+/g, '');
+    };
+
+    const decodeCursor = function(cursor) {
+        try {
+            const decoder = bali.decoder(0, debug);
+            return Buffer.from(decoder.base32Decode(cursor)).toString('utf8');
+        } catch (cause) {
+            return;  // not a valid cursor
+        }
+    };
+
+    // serializes the changes made by this ledger instance so each unit of work is atomic, and
+    // retries a unit of work that conflicted with one committed by another instance
+    var pending = Promise.resolve();
+    const synchronized = function(action) {
+        const result = pending.then(async function() {
+            for (var attempt = 1; ; attempt++) {
+                try {
+                    return await action();
+                } catch (exception) {
+                    if (attempt >= MAXIMUM_ATTEMPTS || !isConflict(exception)) throw exception;
+                    if (debug > 2) console.log('Retrying a conflicting unit of work, attempt: ' + attempt);
+                    await new Promise(function(resolve) {
+                        setTimeout(resolve, Math.random() * RETRY_DELAY * attempt);
+                    });
+                }
+            }
+        });
+        pending = result.catch(function() {});  // a failed action must not block the rest
+        return result;
+    };
+
+    return this;
+};
+Ledger.prototype.constructor = Ledger;
+exports.Ledger = Ledger;
+
+
+// PRIVATE CONSTANTS
+
+// the only characters allowed in account, transaction and ledger identifiers
+const IDENTIFIER = /^[0-9A-Za-z_-]{1,128}$/;
+
+// the currency of an account that does not specify one
+const DEFAULT_CURRENCY = '$USD';
+
+// how long the holds placed by a pending transaction last by default
+const DEFAULT_EXPIRATION = '~P7D';
+
+// the number of ledger entries returned in a page by default and at most
+const DEFAULT_PAGE_SIZE = 100;
+const MAXIMUM_PAGE_SIZE = 1000;
+
+// the maximum number of ledger entries that are scanned while filtering a single page
+const MAXIMUM_SCAN = 2000;
+
+// the number of ledger entries that are listed at a time while verifying a ledger
+const VERIFY_BATCH = 500;
+
+// the number of times a unit of work that conflicts with another instance is attempted, and
+// the maximum delay in milliseconds before the next attempt (multiplied by the attempt)
+const MAXIMUM_ATTEMPTS = 5;
+const RETRY_DELAY = 50;
+
+
+// PRIVATE FUNCTIONS
+
+const ledgerException = function(procedure, type, attributes, debug, cause) {
+    const exception = bali.exception(Object.assign({
+        $module: '/bali/ledger/Ledger',
+        $procedure: procedure,
+        $exception: type
+    }, attributes), cause);
+    if (debug > 0) console.error(exception.toString());
+    return exception;
+};
+
+const authorizedFor = function(owned, principal) {
+    // the owned component is either the state of an account or the head of a ledger
+    const owner = owned.getValue('$owner');
+    if (!owner || owner.isEqualTo(bali.pattern.NONE)) return false;  // only used by the ledger itself
+    if (!principal) return false;
+    if (owner.isEqualTo(principal)) return true;
+    const delegates = owned.getValue('$delegates');
+    return !!delegates && delegates.containsItem(principal);
+};
+
+const isConflict = function(exception) {
+    const attributes = exception.getAttributes ? exception.getAttributes() : undefined;
+    const type = attributes ? attributes.getValue('$exception') : undefined;
+    return !!type && type.toString() === '$concurrentUpdate';
+};
+
+const revisionOf = function(state) {
+    const revision = state.getValue('$revision');
+    return revision ? revision.getReal() : 0;  // an older account
+};
+
+const isExpired = function(hold) {
+    return hold.getValue('$expires').getValue() <= Date.now();
+};
+
+const amount = function(value, currency) {
+    const magnitude = (value === Infinity) ? '∞' : value;
+    return bali.component(magnitude + '($currency: ' + currency + ')');
+};
+
+// query parameters may be parsed as other types of elements so convert them back to strings
+const extractString = function(component) {
+    return component.isType('/bali/elements/Text') ? component.getValue() : component.toString();
+};
+
+// determines whether or not an amount is on the right side (sign) of a limit
+const withinLimit = function(amount, limit, sign) {
+    if (!limit) return true;
+    const currency = limit.getParameter('$currency');
+    if (currency && !currency.isEqualTo(amount.getParameter('$currency') || bali.component(DEFAULT_CURRENCY))) return false;
+    return sign * (amount.getReal() - limit.getReal()) >= 0;
+};
+
+// avoids floating point drift when adding up decimal currency amounts
+const round = function(value) {
+    return Math.round(value * 100000000) / 100000000;
+};
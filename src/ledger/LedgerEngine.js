@@ -0,0 +1,440 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements an HTTP engine that manages access to a ledger.  It follows the same
+ * request and response conventions as the engine for the document repository so that a single
+ * client can talk to both services.  Each request has the following form:
+ * <pre>
+ *   path: /<service>/<type>/<identifier>[/<action>]
+ *   nebula-credentials: <the base32 encoded credentials of the caller>
+ *   nebula-digest: <the optional base32 encoded digest of the document in the body>
+ * </pre>
+ * The following resources are supported:
+ * <pre>
+ *   account/<account>: HEAD, POST, GET
+ *   account/<account>/statement: GET
+ *   transaction/<transaction>: HEAD, POST, GET, PUT (settle), DELETE (void)
+ *   transaction/<transaction>/reversal: POST
+ *   ledger/<ledger>: PUT, GET
+ *   ledger/<ledger>/verify: GET
+ * </pre>
+ * The caller is identified by the tag of the notary certificate used to sign its credentials.
+ * A new account is owned by the caller that created it, and only its owner and delegates may
+ * debit the account or read its balances, statements and ledger.  A ledger that does not belong
+ * to an account is owned by the caller that posted its first entry.  Any other caller, and any
+ * caller attempting to use an account that does not exist, receives a 403 (Forbidden) response.
+ * The caller is authorized before the existence of an account or ledger is checked, so that a
+ * caller cannot tell which identifiers belong to other callers.
+ *
+ * Each response contains the content-length, content-type and cache-control headers and a body
+ * containing either the resulting component or an exception describing the error.
+ */
+const bali = require('bali-component-framework').api();
+const logging = require('../logging');
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new HTTP engine that processes requests against a ledger.
+ *
+ * @param {DigitalNotary} notary The digital notary to be used to validate the credentials.
+ * @param {Object} repository The document repository containing the notary certificates.
+ * @param {Ledger} ledger The ledger that is being accessed.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {LedgerEngine} The new ledger engine.
+ */
+const LedgerEngine = function(notary, repository, ledger, debug) {
+    debug = debug || 0;  // default is off
+
+    const handlers = {
+        'account': {
+            HEAD: async function(parameters) {
+                if (!(await authorizedForAll(parameters, [parameters.identifier]))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                const balance = await ledger.fetchBalance(parameters.identifier);
+                if (!balance) return this.encodeError(parameters, 404, 'Not Found');
+                return stripBody(this.encodeSuccess(parameters, 200, balance, 'no-store'));
+            },
+            POST: async function(parameters) {
+                if (await ledger.accountExists(parameters.identifier)) {
+                    return this.encodeError(parameters, 409, 'Resource Conflict');
+                }
+                await ledger.createAccount(parameters.identifier, parameters.body, parameters.principal);
+                const balance = await ledger.fetchBalance(parameters.identifier);
+                return this.encodeSuccess(parameters, 201, balance, 'no-store');
+            },
+            GET: async function(parameters) {
+                if (!(await authorizedForAll(parameters, [parameters.identifier]))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                const balance = await ledger.fetchBalance(parameters.identifier);
+                if (!balance) return this.encodeError(parameters, 404, 'Not Found');
+                return this.encodeSuccess(parameters, 200, balance, 'no-store');
+            }
+        },
+
+        'account/statement': {
+            GET: async function(parameters) {
+                if (!(await authorizedForAll(parameters, [parameters.identifier]))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                const statement = await ledger.generateStatement(parameters.identifier, parameters.body);
+                if (!statement) return this.encodeError(parameters, 404, 'Not Found');
+                return this.encodeSuccess(parameters, 200, statement, 'no-store');
+            }
+        },
+
+        'transaction': {
+            HEAD: async function(parameters) {
+                const transaction = await ledger.fetchTransaction(parameters.identifier);
+                if (!transaction) return this.encodeError(parameters, 404, 'Not Found');
+                if (!(await authorizedForAny(parameters, partiesTo(transaction)))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                return stripBody(this.encodeSuccess(parameters, 200, transaction, cacheControl(transaction)));
+            },
+            POST: async function(parameters) {
+                if (await ledger.transactionExists(parameters.identifier)) {
+                    return this.encodeError(parameters, 409, 'Resource Conflict');
+                }
+                if (!(await authorizedForAll(parameters, ledger.debitedAccounts(parameters.body)))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                await ledger.executeTransaction(parameters.identifier, parameters.body);
+                const transaction = await ledger.fetchTransaction(parameters.identifier);
+                return this.encodeSuccess(parameters, 201, transaction, 'no-store');
+            },
+            GET: async function(parameters) {
+                const transaction = await ledger.fetchTransaction(parameters.identifier);
+                if (!transaction) return this.encodeError(parameters, 404, 'Not Found');
+                if (!(await authorizedForAny(parameters, partiesTo(transaction)))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                return this.encodeSuccess(parameters, 200, transaction, cacheControl(transaction));
+            },
+            PUT: async function(parameters) {
+                // settle a pending transaction
+                const pending = await ledger.fetchTransaction(parameters.identifier);
+                if (pending && !(await authorizedForAll(parameters, ledger.debitedAccounts(pending)))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                const transaction = await ledger.settleTransaction(parameters.identifier);
+                if (!transaction) return this.encodeError(parameters, 404, 'Not Found');
+                return this.encodeSuccess(parameters, 200, transaction, 'no-store');
+            },
+            DELETE: async function(parameters) {
+                // void a pending transaction
+                const pending = await ledger.fetchTransaction(parameters.identifier);
+                if (pending && !(await authorizedForAll(parameters, ledger.debitedAccounts(pending)))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                const transaction = await ledger.voidTransaction(parameters.identifier);
+                if (!transaction) return this.encodeError(parameters, 404, 'Not Found');
+                return this.encodeSuccess(parameters, 200, transaction, 'no-store');
+            }
+        },
+
+        'transaction/reversal': {
+            POST: async function(parameters) {
+                // the request may name the reversal and explain the reason for it
+                const document = parameters.body;
+                const name = document ? document.getValue('$reversal') : undefined;
+                const reversal = name ? name.getValue() : bali.tag().getValue();
+                const reason = document ? document.getValue('$reason') : undefined;
+                const original = await ledger.fetchTransaction(parameters.identifier);
+                // the reversal debits the accounts that were credited by the original transaction
+                if (original && !(await authorizedForAll(parameters, ledger.creditedAccounts(original)))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                const transaction = await ledger.reverseTransaction(parameters.identifier, reversal, reason);
+                if (!transaction) return this.encodeError(parameters, 404, 'Not Found');
+                const response = this.encodeSuccess(parameters, 201, transaction, 'no-store');
+                response.headers['content-location'] = '/' + parameters.service + '/transaction/' + reversal;
+                return response;
+            }
+        },
+
+        'ledger': {
+            PUT: async function(parameters) {
+                // the caller owns a new ledger, otherwise the ledger authorizes the caller itself
+                const entry = await ledger.postTransaction(parameters.identifier, parameters.body, parameters.principal);
+                return this.encodeSuccess(parameters, 201, entry, 'no-store');
+            },
+            GET: async function(parameters) {
+                if (!(await authorizedForAll(parameters, [parameters.identifier]))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                const page = await ledger.fetchTransactions(parameters.identifier, parameters.body);
+                if (!page) return this.encodeError(parameters, 404, 'Not Found');
+                return this.encodeSuccess(parameters, 200, page, 'no-store');
+            }
+        },
+
+        'ledger/verify': {
+            GET: async function(parameters) {
+                if (!(await authorizedForAll(parameters, [parameters.identifier]))) {
+                    return this.encodeError(parameters, 403, 'Not Authorized');
+                }
+                const verification = await ledger.verifyLedger(parameters.identifier);
+                if (!verification) return this.encodeError(parameters, 404, 'Not Found');
+                return this.encodeSuccess(parameters, 200, verification, 'no-store');
+            }
+        }
+    };
+
+    this.processRequest = async function(request) {
+        var parameters;
+        try {
+            // extract the request parameters
+            parameters = decodeRequest(request);
+            if (debug > 2) console.log('Request: ' + bali.catalog(parameters));
+        } catch (cause) {
+            if (debug > 0) {
+                const exception = bali.exception({
+                    $module: '/bali/services/LedgerEngine',
+                    $procedure: '$processRequest',
+                    $exception: '$badRequest',
+                    $path: bali.text(String(request.path)),
+                    $text: 'The HTTP request was not valid.'
+                }, cause);
+                console.error(exception.toString());
+            }
+            return this.encodeError(parameters, 400, 'Bad Request');
+        }
+
+        // validate the request type and method
+        const resource = handlers[parameters.action ? parameters.type + '/' + parameters.action : parameters.type];
+        if (!resource || !parameters.identifier) {
+            if (debug > 2) console.log('The service received an invalid request type: ' + parameters.type);
+            return this.encodeError(parameters, 400, 'Bad Request');
+        }
+        if (!resource[parameters.method]) {
+            if (debug > 2) console.log('The service received an invalid request method: ' + parameters.method);
+            return this.encodeError(parameters, 405, 'Method Not Allowed');
+        }
+
+        try {
+            // all requests to the ledger must be authenticated
+            if (!parameters.credentials) {
+                if (debug > 2) console.log('No credentials were passed with the request.');
+                return this.encodeError(parameters, 401, 'Not Authenticated');
+            }
+            if (!(await validCredentials(parameters))) {
+                if (debug > 2) console.log('Invalid credentials were passed with the request.');
+                return this.encodeError(parameters, 401, 'Invalid Credentials');
+            }
+
+            // make sure the body was not altered in transit
+            if (!(await validDigest(parameters))) {
+                if (debug > 2) console.log('The digest of the body does not match the digest header.');
+                return this.encodeError(parameters, 400, 'Invalid Digest');
+            }
+
+            // handle the request (must explicitly pass in 'this')
+            const response = await resource[parameters.method].call(this, parameters);
+            if (debug > 2) console.log('Response: ' + bali.catalog(response));
+            return response;
+
+        } catch (exception) {
+            logging.recordFailure(exception);  // include the cause in the request log
+
+            // the ledger rejects some requests using exceptions
+            const status = rejectionStatus(exception);
+            if (status) return this.encodeError(parameters, status, exceptionText(exception));
+            if (debug > 0) {
+                console.error(bali.exception({
+                    $module: '/bali/services/LedgerEngine',
+                    $procedure: '$processRequest',
+                    $exception: '$processingFailed',
+                    $method: bali.text(parameters.method),
+                    $type: bali.text(String(parameters.type)),
+                    $identifier: bali.text(String(parameters.identifier)),
+                    $text: 'The processing of the HTTP request failed.'
+                }, exception).toString());
+            }
+            return this.encodeError(parameters, 503, 'Service Unavailable');
+        }
+    };
+
+    this.encodeError = function(parameters, status, message) {
+        const error = bali.exception({
+            $module: '/bali/services/LedgerEngine',
+            $status: status,
+            $text: message
+        });
+        const response = {
+            headers: {
+            },
+            statusCode: status,
+            body: error.getAttributes().toString()
+        };
+        response.headers['content-length'] = response.body.length;
+        response.headers['content-type'] = 'application/bali';
+        response.headers['cache-control'] = 'no-store';
+        if (status === 401) {
+            response.headers['www-authenticate'] = 'Nebula-Credentials realm="The Bali Nebula™", charset="UTF-8"';
+        }
+        return response;
+    };
+
+    this.encodeSuccess = function(parameters, status, component, cacheControl) {
+        const response = {
+            headers: {
+            },
+            statusCode: status,
+            body: component.toString()
+        };
+        response.headers['content-length'] = response.body.length;
+        response.headers['content-type'] = 'application/bali';
+        response.headers['cache-control'] = cacheControl;
+        return response;
+    };
+
+    const decodeRequest = function(request) {
+        const headers = request.headers || {};
+        const method = (request.httpMethod || request.method).toUpperCase();
+        var credentials = headers['nebula-credentials'];
+        if (credentials) {
+            const decoder = bali.decoder(0, debug);
+            credentials = Buffer.from(decoder.base32Decode(credentials)).toString('utf8');
+            credentials = bali.component(credentials);
+        }
+
+        var digest = headers['nebula-digest'];
+        if (digest) {
+            digest = bali.component("'" + digest + "'");
+        }
+
+        const tokens = request.path.split('/');  // "/<service>/<type>/<identifier>[/<action>]"
+        var body;
+        if (request.body && request.body.constructor.name === 'String') {
+            body = bali.component(request.body);
+        } else if (request.queryStringParameters) {
+            body = bali.catalog(request.queryStringParameters);
+        }
+
+        return {
+            credentials: credentials,
+            method: method,
+            service: tokens[1],
+            type: tokens[2],
+            identifier: tokens[3],
+            action: tokens[4],
+            digest: digest,
+            body: body
+        };
+    };
+
+    const validCredentials = async function(parameters) {
+        const credentials = parameters.credentials;
+        if (!credentials.isType('/bali/collections/Catalog')) return false;
+        const citation = credentials.getValue('$certificate');
+        if (!citation || !citation.isType('/bali/collections/Catalog')) return false;
+        const certificate = await repository.readContract(citation);
+        if (certificate && await notary.validContract(credentials, certificate)) {
+            parameters.account = certificate.getValue('$account');
+            parameters.principal = citation.getValue('$tag');
+            return true;  // the credentials are valid
+        }
+        return false;  // the credentials are invalid
+    };
+
+    const authorizedForAll = async function(parameters, accounts) {
+        for (var i = 0; i < accounts.length; i++) {
+            if (!(await ledger.isAuthorized(accounts[i], parameters.principal))) return false;
+        }
+        return true;
+    };
+
+    const authorizedForAny = async function(parameters, accounts) {
+        for (var i = 0; i < accounts.length; i++) {
+            if (await ledger.isAuthorized(accounts[i], parameters.principal)) return true;
+        }
+        return accounts.length === 0;
+    };
+
+    const partiesTo = function(transaction) {
+        return ledger.debitedAccounts(transaction).concat(ledger.creditedAccounts(transaction));
+    };
+
+    const validDigest = async function(parameters) {
+        if (!parameters.digest || !parameters.body || !parameters.body.isType('/bali/collections/Catalog')) return true;
+        const protocols = notary.getProtocols();
+        const citation = bali.catalog({
+            $protocol: protocols.getItem(protocols.getSize()),  // the most recent protocol
+            $digest: parameters.digest
+        });
+        return await notary.citationMatches(citation, parameters.body);
+    };
+
+    return this;
+};
+LedgerEngine.prototype.constructor = LedgerEngine;
+exports.LedgerEngine = LedgerEngine;
+
+
+// PRIVATE CONSTANTS
+
+// HTTP STATUS CODES FOR THE LEDGER EXCEPTIONS THAT REJECT A REQUEST
+const REJECTIONS = {
+    $invalidIdentifier: 400,  // Bad Request
+    $invalidAccount: 400,  // Bad Request
+    $invalidTransaction: 400,  // Bad Request
+    $unbalancedTransaction: 400,  // Bad Request
+    $unknownAccount: 400,  // Bad Request
+    $currencyMismatch: 400,  // Bad Request
+    $invalidExchange: 400,  // Bad Request
+    $invalidParameters: 400,  // Bad Request
+    $insufficientFunds: 402,  // Payment Required
+    $notAuthorized: 403,  // Forbidden
+    $accountExists: 409,  // Conflict
+    $transactionExists: 409,  // Conflict
+    $transactionNotPending: 409,  // Conflict
+    $transactionNotSettled: 409,  // Conflict
+    $transactionReversed: 409,  // Conflict
+    $concurrentUpdate: 409,  // Conflict
+    $holdExpired: 410  // Gone
+};
+
+
+// PRIVATE FUNCTIONS
+
+const stripBody = function(response) {
+    response.body = undefined;  // the headers still describe the body
+    return response;
+};
+
+const cacheControl = function(transaction) {
+    // the state of a pending transaction may still change
+    const state = transaction.getValue('$state');
+    return (state && state.toString() === '$pending') ? 'no-store' : 'private, immutable';
+};
+
+const rejectionStatus = function(exception) {
+    const attributes = exception.getAttributes ? exception.getAttributes() : undefined;
+    const type = attributes ? attributes.getValue('$exception') : undefined;
+    return type ? REJECTIONS[type.toString()] : undefined;
+};
+
+const exceptionText = function(exception) {
+    const text = exception.getAttributes().getValue('$text');
+    return text ? text.getValue() : 'Bad Request';
+};
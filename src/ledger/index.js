@@ -0,0 +1,128 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const bali = require('bali-component-framework').api();
+const storage = require('../storage');
+const Ledger = require('./Ledger').Ledger;
+const LedgerEngine = require('./LedgerEngine').LedgerEngine;
+
+
+/**
+ * This function initializes a ledger that maintains its accounts, transactions and ledgers
+ * using the specified bucket-style storage mechanism.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The document repository containing the notarized exchange rates.
+ * @param {Object} buckets The bucket-style storage mechanism used to maintain the components.
+ * @param {Duration} expiration An optional duration after which the holds placed by a pending
+ * transaction expire (the default is one week).
+ * @param {Array} exchanges An optional list of the tags of the notary certificates belonging to
+ * the trusted exchange rate authorities (the default is none).
+ * @returns {Ledger} The new ledger.
+ */
+const ledger = function(notary, repository, buckets, expiration, exchanges, debug) {
+    return new Ledger(notary, repository, buckets, expiration, exchanges, debug);
+};
+exports.ledger = ledger;
+
+/**
+ * This function initializes a ledger that maintains its components in the local filesystem.
+ * It should ONLY be used for testing purposes.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The document repository containing the notarized exchange rates.
+ * @param {String} directory The top level directory to be used for the local buckets.
+ * @param {Duration} expiration An optional duration after which the holds placed by a pending
+ * transaction expire (the default is one week).
+ * @param {Array} exchanges An optional list of the tags of the notary certificates belonging to
+ * the trusted exchange rate authorities (the default is none).
+ * @returns {Ledger} The new ledger.
+ */
+const test = function(notary, repository, directory, expiration, exchanges, debug) {
+    return ledger(notary, repository, storage.local(directory, debug), expiration, exchanges, debug);
+};
+exports.test = test;
+
+/**
+ * This function initializes a ledger that maintains its components in AWS S3 buckets, or in
+ * the local filesystem if the storage mode of the configuration is 'local'.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The document repository containing the notarized exchange rates.
+ * @param {Object} configuration An object containing the names of the accounts, transactions
+ * and ledgers buckets (or the storage mode and directory), and optionally the expiration (a
+ * Bali duration string) for the holds placed by pending transactions and the exchanges (a comma
+ * separated list of the certificate tags of the trusted exchange rate authorities).
+ * @returns {Ledger} The new ledger.
+ */
+const service = function(notary, repository, configuration, debug) {
+    const expiration = configuration.expiration ? bali.component(configuration.expiration) : undefined;
+    const exchanges = String(configuration.exchanges || '').split(',').map(function(tag) {
+        return tag.trim();
+    }).filter(function(tag) {
+        return tag.length > 0;
+    });
+    const buckets = (configuration.storage === 'local') ?
+        storage.local(configuration.directory, debug) :
+        storage.s3(configuration, debug);
+    return ledger(notary, repository, buckets, expiration, exchanges, debug);
+};
+exports.service = service;
+
+/**
+ * This function initializes an HTTP engine that processes requests against a ledger using the
+ * same request and response conventions as the document repository engine.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The document repository containing the notary certificates.
+ * @param {Ledger} ledger The ledger that is being accessed.
+ * @returns {LedgerEngine} The new ledger engine.
+ */
+const engine = function(notary, repository, ledger, debug) {
+    return new LedgerEngine(notary, repository, ledger, debug);
+};
+exports.engine = engine;
@@ -0,0 +1,257 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a request logger that emits exactly one JSON log line for each request
+ * processed by a Bali Nebula™ service:
+ * <pre>
+ *   {
+ *       "timestamp": "2020-06-01T12:34:56.789Z",
+ *       "level": "warn",
+ *       "service": "ledger",
+ *       "correlationId": "4b0f7bd2-...",
+ *       "method": "POST",
+ *       "path": "/ledger/transaction/...",
+ *       "type": "transaction",
+ *       "account": "#4B0F...",
+ *       "status": 402,
+ *       "latency": 37,
+ *       "module": "/bali/ledger/Ledger",
+ *       "procedure": "$executeTransaction",
+ *       "exception": "$insufficientFunds"
+ *   }
+ * </pre>
+ * The correlation identifier is taken from the x-correlation-id (or x-request-id) header of the
+ * request, or the API Gateway request identifier, or is generated.  It is returned in the
+ * x-correlation-id header of the response.  The account is the tag claimed by the credentials
+ * of the caller; it is logged as is and must not be used to make authorization decisions.
+ *
+ * The log level may be changed at any time and is one of the following:
+ * <pre>
+ *   off: nothing is logged
+ *   error: only requests that fail with a 5xx status are logged
+ *   warn: only requests that fail with a 4xx or 5xx status are logged
+ *   info: all requests are logged (this is the default value)
+ *   debug: all requests are logged along with their query parameters and body size
+ * </pre>
+ * Code that handles a request may record the Bali exception that caused it to fail using the
+ * recordFailure function, which associates the exception with the current request.
+ */
+const crypto = require('crypto');
+const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the log level when none is specified
+const DEFAULT_LEVEL = 'info';
+
+// the log levels in order of increasing verbosity
+const LEVELS = ['off', 'error', 'warn', 'info', 'debug'];
+
+// the request that is currently being processed in each asynchronous context
+const context = new AsyncLocalStorage();
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function records the exception that caused the current request to fail so that its
+ * module, procedure and type are included in the log line for the request.  It does nothing if
+ * it is called outside of a request.
+ *
+ * @param {Exception} exception The Bali exception that caused the request to fail.
+ */
+const recordFailure = function(exception) {
+    const store = context.getStore();
+    if (store && !store.exception) store.exception = exception;
+};
+exports.recordFailure = recordFailure;
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new request logger for a service.
+ *
+ * @param {String} service The name of the service (e.g. 'repository') whose requests are logged.
+ * @param {String} level The initial log level (the default is 'info').
+ * @param {Function} output An optional function that writes a log line (the default is
+ * console.log).
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {RequestLogger} The new request logger.
+ */
+const RequestLogger = function(service, level, output, debug) {
+    debug = debug || 0;  // default is off
+    output = output || console.log;
+
+    /**
+     * This method returns the current log level.
+     *
+     * @returns {String} The current log level.
+     */
+    this.getLevel = function() {
+        return level;
+    };
+
+    /**
+     * This method changes the log level without restarting the service.
+     *
+     * @param {String} newLevel The new log level.
+     */
+    this.setLevel = function(newLevel) {
+        newLevel = (newLevel || DEFAULT_LEVEL).toLowerCase();
+        if (!LEVELS.includes(newLevel)) {
+            const exception = bali.exception({
+                $module: '/bali/services/RequestLogger',
+                $procedure: '$setLevel',
+                $exception: '$invalidParameter',
+                $level: bali.text(String(newLevel)),
+                $text: 'The log level must be one of: ' + LEVELS.join(', ') + '.'
+            });
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+        level = newLevel;
+    };
+
+    /**
+     * This method returns a lambda handler that processes each request using the specified
+     * function and logs the result.  If the function throws an exception the handler responds
+     * with a 503 (Service Unavailable) status.
+     *
+     * @param {Function} processRequest An asynchronous function that returns the response to a
+     * request.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(processRequest) {
+        return async function(request) {
+            const start = Date.now();
+            const store = {};
+            var response;
+            try {
+                response = await context.run(store, processRequest, request);
+            } catch (exception) {
+                if (!store.exception) store.exception = exception;
+                response = encodeError(503, 'Service Unavailable');
+            }
+            const correlationId = correlationIdentifier(request);
+            response.headers = response.headers || {};
+            response.headers['x-correlation-id'] = correlationId;
+            logRequest(request, response, correlationId, Date.now() - start, store.exception);
+            return response;
+        };
+    };
+
+    const logRequest = function(request, response, correlationId, latency, exception) {
+        const status = response.statusCode;
+        const severity = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+        if (LEVELS.indexOf(severity) > LEVELS.indexOf(level)) return;
+        const path = String(request.path);
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: severity,
+            service: service,
+            correlationId: correlationId,
+            method: String(request.httpMethod || request.method).toUpperCase(),
+            path: path,
+            type: path.split('/')[2],
+            account: claimedAccount(request),
+            status: status,
+            latency: latency
+        };
+        if (exception || status >= 400) {
+            // fall back on the exception returned in the body of the response
+            const attributes = exception ? exception.getAttributes && exception.getAttributes() : errorAttributes(response);
+            entry.module = attributeValue(attributes, '$module');
+            entry.procedure = attributeValue(attributes, '$procedure');
+            entry.exception = attributeValue(attributes, '$exception') || (exception ? String(exception.message || exception) : undefined);
+        }
+        if (level === 'debug') {
+            entry.query = request.queryStringParameters || undefined;
+            entry.size = request.body ? Buffer.byteLength(String(request.body), 'utf8') : 0;
+        }
+        try {
+            output(JSON.stringify(entry));
+        } catch (cause) {
+            if (debug > 0) console.error('The request could not be logged: ' + cause);
+        }
+    };
+
+    this.setLevel(level);
+    return this;
+};
+RequestLogger.prototype.constructor = RequestLogger;
+exports.RequestLogger = RequestLogger;
+
+
+// PRIVATE FUNCTIONS
+
+const correlationIdentifier = function(request) {
+    const headers = request.headers || {};
+    const identifier = headers['x-correlation-id'] || headers['x-request-id'] ||
+        (request.requestContext && request.requestContext.requestId);
+    if (identifier && /^[\w.:-]{1,128}$/.test(identifier)) return identifier;
+    return crypto.randomUUID();
+};
+
+const claimedAccount = function(request) {
+    const credentials = request.headers && request.headers['nebula-credentials'];
+    if (!credentials) return undefined;
+    try {
+        const decoder = bali.decoder(0);
+        const contract = bali.component(Buffer.from(decoder.base32Decode(credentials)).toString('utf8'));
+        const account = contract.getValue('$account');
+        return account ? account.toString() : undefined;
+    } catch (cause) {
+        return undefined;  // the engine will reject the credentials
+    }
+};
+
+const errorAttributes = function(response) {
+    try {
+        const attributes = bali.component(String(response.body));
+        return attributes.isType('/bali/collections/Catalog') ? attributes : undefined;
+    } catch (cause) {
+        return undefined;  // the body does not contain an exception
+    }
+};
+
+const attributeValue = function(attributes, key) {
+    const value = attributes && attributes.getValue && attributes.getValue(key);
+    return value ? value.toString() : undefined;
+};
+
+const encodeError = function(status, message) {
+    const error = bali.exception({
+        $module: '/bali/services/RequestLogger',
+        $status: status,
+        $text: message
+    });
+    const body = error.getAttributes().toString();
+    return {
+        headers: {
+            'content-length': body.length,
+            'content-type': 'application/bali',
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+};
@@ -0,0 +1,45 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const RequestLogger = require('./RequestLogger');
+
+
+/**
+ * This function initializes a request logger that emits one JSON log line for each request
+ * processed by a service.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {String} service The name of the service (e.g. 'repository') whose requests are logged.
+ * @param {String} level The initial log level: off, error, warn, info (the default) or debug.
+ * @param {Function} output An optional function that writes each log line (the default is
+ * console.log).
+ * @returns {RequestLogger} The new request logger.
+ */
+const logger = function(service, level, output, debug) {
+    return new RequestLogger.RequestLogger(service, level, output, debug);
+};
+exports.logger = logger;
+
+/**
+ * This function records the Bali exception that caused the request currently being processed
+ * to fail so that it is included in the log line for the request.
+ *
+ * @param {Exception} exception The exception that caused the request to fail.
+ */
+exports.recordFailure = RequestLogger.recordFailure;
@@ -0,0 +1,233 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements the health and metrics routes for a Bali Nebula™ service.  Neither
+ * route requires credentials and each may be requested with or without the service prefix:
+ * <pre>
+ *   GET /health (or /<service>/health)
+ *   GET /metrics (or /<service>/metrics)
+ * </pre>
+ * The health route runs each readiness check and responds with a 200 (OK) status if they all
+ * succeed, or a 503 (Service Unavailable) status if any of them fail:
+ * <pre>
+ *   [
+ *       $service: "repository"
+ *       $version: "2.0.0"
+ *       $status: $healthy
+ *       $checks: [
+ *           $notary: $healthy
+ *           $storage: $unhealthy
+ *       ]
+ *   ]
+ * </pre>
+ * A check that does not complete within five seconds fails.  The notary check is always
+ * included; it verifies that the notary can cite and validate a document.  The storage check of
+ * each service verifies that its buckets exist (see the bucketCheck function in ./index.js).
+ *
+ * All other requests are passed on to the service and counted by method, resource type and
+ * status.  Their latencies are tracked in histograms.  The metrics route returns the counters
+ * and histograms using the Prometheus text format.
+ */
+const bali = require('bali-component-framework').api();
+const logging = require('../logging');
+
+
+// PRIVATE CONSTANTS
+
+// the version of the services
+const VERSION = require('../../package.json').version;
+
+// the upper bounds (in seconds) of the latency histogram buckets
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// the methods and resource types are labels, so only well-formed values are tracked
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'];
+const TYPE = /^[a-z]{1,32}$/;
+
+// the longest time that a readiness check may take
+const TIMEOUT = 5000;  // milliseconds
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new service monitor.
+ *
+ * @param {String} service The name of the service (e.g. 'repository') being monitored.
+ * @param {DigitalNotary} notary The digital notary used by the service.
+ * @param {Object} checks An object mapping the name of each additional readiness check to an
+ * asynchronous function that throws an exception if the check fails.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {ServiceMonitor} The new service monitor.
+ */
+const ServiceMonitor = function(service, notary, checks, debug) {
+    debug = debug || 0;  // default is off
+    checks = Object.assign({
+        notary: async function() {
+            const document = bali.catalog({
+                $service: bali.text(service)
+            }, {
+                $type: '/bali/nebula/Health/v1',
+                $tag: bali.tag(),
+                $version: 'v1',
+                $permissions: '/bali/permissions/public/v1',
+                $previous: bali.pattern.NONE
+            });
+            const citation = await notary.citeDocument(document);
+            if (!(await notary.citationMatches(citation, document))) {
+                throw Error('The notary could not validate a document citation.');
+            }
+        }
+    }, checks);
+
+    const counters = {};  // request counts keyed by their labels
+    const histograms = {};  // request latencies keyed by their labels
+
+    /**
+     * This method returns a lambda handler that responds to the health and metrics routes
+     * and passes all other requests on to the specified handler.
+     *
+     * @param {Function} handler The lambda handler for the service.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(handler) {
+        return async function(request) {
+            const method = String(request.httpMethod || request.method).toUpperCase();
+            const tokens = String(request.path).split('/');
+            const route = (tokens.length === 2) ? tokens[1] : (tokens.length === 3 && tokens[1] === service) ? tokens[2] : undefined;
+            if (method === 'GET' && route === 'health') return await checkHealth();
+            if (method === 'GET' && route === 'metrics') return exportMetrics();
+
+            const start = Date.now();
+            var status = 503;
+            try {
+                const response = await handler(request);
+                status = response.statusCode;
+                return response;
+            } finally {
+                recordRequest(method, tokens[2], status, (Date.now() - start) / 1000);
+            }
+        };
+    };
+
+    const checkHealth = async function() {
+        const results = bali.catalog();
+        var healthy = true;
+        const names = Object.keys(checks).sort();
+        for (var i = 0; i < names.length; i++) {
+            const name = names[i];
+            try {
+                await withTimeout(checks[name]());
+                results.setValue('$' + name, bali.component('$healthy'));
+            } catch (cause) {
+                healthy = false;
+                results.setValue('$' + name, bali.component('$unhealthy'));
+                const exception = bali.exception({
+                    $module: '/bali/services/ServiceMonitor',
+                    $procedure: '$checkHealth',
+                    $exception: '$checkFailed',
+                    $check: bali.text(name),
+                    $text: 'A readiness check for the service failed.'
+                }, cause);
+                logging.recordFailure(exception);
+                if (debug > 0) console.error(exception.toString());
+            }
+        }
+        const health = bali.catalog({
+            $service: bali.text(service),
+            $version: bali.text(VERSION),
+            $status: bali.component(healthy ? '$healthy' : '$unhealthy'),
+            $checks: results
+        });
+        return encodeResponse(healthy ? 200 : 503, health.toString(), 'application/bali');
+    };
+
+    const recordRequest = function(method, type, status, latency) {
+        method = METHODS.includes(method) ? method : 'OTHER';
+        type = TYPE.test(type) ? type : 'unknown';
+        const counter = labels({service: service, method: method, type: type, status: String(status)});
+        counters[counter] = (counters[counter] || 0) + 1;
+        const key = labels({service: service, method: method, type: type});
+        const histogram = histograms[key] || (histograms[key] = {buckets: BUCKETS.map(function() { return 0; }), sum: 0, count: 0});
+        BUCKETS.forEach(function(bound, index) {
+            if (latency <= bound) histogram.buckets[index]++;
+        });
+        histogram.sum += latency;
+        histogram.count++;
+    };
+
+    const exportMetrics = function() {
+        var text = '';
+        text += '# HELP nebula_requests_total The number of requests processed by the service.\n';
+        text += '# TYPE nebula_requests_total counter\n';
+        Object.keys(counters).sort().forEach(function(key) {
+            text += 'nebula_requests_total{' + key + '} ' + counters[key] + '\n';
+        });
+        text += '# HELP nebula_request_duration_seconds The time taken to process each request.\n';
+        text += '# TYPE nebula_request_duration_seconds histogram\n';
+        Object.keys(histograms).sort().forEach(function(key) {
+            const histogram = histograms[key];
+            BUCKETS.forEach(function(bound, index) {
+                text += 'nebula_request_duration_seconds_bucket{' + key + ',le="' + bound + '"} ' + histogram.buckets[index] + '\n';
+            });
+            text += 'nebula_request_duration_seconds_bucket{' + key + ',le="+Inf"} ' + histogram.count + '\n';
+            text += 'nebula_request_duration_seconds_sum{' + key + '} ' + histogram.sum + '\n';
+            text += 'nebula_request_duration_seconds_count{' + key + '} ' + histogram.count + '\n';
+        });
+        return encodeResponse(200, text, 'text/plain; version=0.0.4; charset=utf-8');
+    };
+
+    return this;
+};
+ServiceMonitor.prototype.constructor = ServiceMonitor;
+exports.ServiceMonitor = ServiceMonitor;
+
+
+// PRIVATE FUNCTIONS
+
+const withTimeout = function(promise) {
+    var timer;
+    const timeout = new Promise(function(resolve, reject) {
+        timer = setTimeout(function() {
+            reject(Error('The check did not complete within ' + TIMEOUT + 'ms.'));
+        }, TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(function() {
+        clearTimeout(timer);
+    });
+};
+
+const labels = function(values) {
+    return Object.keys(values).map(function(name) {
+        const value = values[name].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return name + '="' + value + '"';
+    }).join(',');
+};
+
+const encodeResponse = function(status, body, type) {
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': type,
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+};
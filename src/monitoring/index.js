@@ -0,0 +1,76 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const bali = require('bali-component-framework').api();
+const ServiceMonitor = require('./ServiceMonitor').ServiceMonitor;
+
+
+/**
+ * This function initializes a service monitor that adds the health and metrics routes to the
+ * lambda handler for a service.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {String} service The name of the service (e.g. 'repository') being monitored.
+ * @param {DigitalNotary} notary The digital notary used by the service.
+ * @param {Object} checks An object mapping the name of each additional readiness check (e.g.
+ * 'storage') to an asynchronous function that throws an exception if the check fails.
+ * @returns {ServiceMonitor} The new service monitor.
+ */
+const monitor = function(service, notary, checks, debug) {
+    return new ServiceMonitor(service, notary, checks, debug);
+};
+exports.monitor = monitor;
+
+/**
+ * This function creates a readiness check that fails unless the bucket for each of the specified
+ * types of component exists.  A missing object and a missing bucket look the same to the other
+ * storage operations, so only a check of the buckets themselves can detect a misconfigured or
+ * deleted bucket.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Object} buckets The bucket-style storage mechanism used by the service.
+ * @param {Array} types The types of component (e.g. 'names') whose buckets must exist.
+ * @returns {Function} An asynchronous function that throws an exception if the check fails.
+ */
+const bucketCheck = function(buckets, types, debug) {
+    return async function() {
+        for (var i = 0; i < types.length; i++) {
+            if (!(await buckets.bucketExists(types[i]))) {
+                const exception = bali.exception({
+                    $module: '/bali/services/ServiceMonitor',
+                    $procedure: '$checkBuckets',
+                    $exception: '$missingBucket',
+                    $type: bali.text(types[i]),
+                    $text: 'The bucket for the type of component does not exist.'
+                });
+                if (debug > 0) console.error(exception.toString());
+                throw exception;
+            }
+        }
+    };
+};
+exports.bucketCheck = bucketCheck;
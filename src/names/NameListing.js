@@ -0,0 +1,395 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class adds listings of the name hierarchy and the resolution of name versions to the
+ * document repository.  A request for a
+ * name that ends with a '/' is treated as a prefix, and lists the names (and their citations)
+ * that begin with that prefix:
+ * <pre>
+ *   GET /repository/names/bali/examples/?after=<name>&limit=<N>
+ *   [
+ *       $prefix: "/bali/examples/"
+ *       $names: [
+ *           [
+ *               $name: /bali/examples/4F9C8VZ2J1MNXY7Q5HTDWL0B3RSKA6G8/v1
+ *               $citation: [...]
+ *           ]
+ *           ...
+ *       ]
+ *       $next: /bali/examples/ZQ3M0G7H1KD8V2X5B9WNTL4RC6YJSPAF/v2  (or none if this is the last page)
+ *   ]
+ * </pre>
+ * The names are listed in lexical order (so /bali/examples/tag/v10 comes before
+ * /bali/examples/tag/v2).  Each page contains at most N names (the default is 100) and the next
+ * page is requested by passing the $next name of the current page as the after parameter.
+ *
+ * A request for a name without a version, or with a version wildcard, returns the citation for
+ * the highest version of the name that has been published:
+ * <pre>
+ *   GET /repository/names/bali/examples/4F9C8VZ2J1MNXY7Q5HTDWL0B3RSKA6G8  (the highest version)
+ *   GET /repository/names/bali/examples/4F9C8VZ2J1MNXY7Q5HTDWL0B3RSKA6G8/v*  (the highest version)
+ *   GET /repository/names/bali/examples/4F9C8VZ2J1MNXY7Q5HTDWL0B3RSKA6G8/v2.*  (the highest v2 version)
+ * </pre>
+ * The content-location header of the response contains the full name of that version.  Adding
+ * a history parameter to a request with a version wildcard returns every matching version of
+ * the name in version order instead:
+ * <pre>
+ *   GET /repository/names/bali/examples/4F9C8VZ2J1MNXY7Q5HTDWL0B3RSKA6G8/v*?history
+ *   [
+ *       $name: /bali/examples/4F9C8VZ2J1MNXY7Q5HTDWL0B3RSKA6G8
+ *       $versions: [
+ *           [
+ *               $version: v1
+ *               $citation: [...]
+ *           ]
+ *           ...
+ *       ]
+ *   ]
+ * </pre>
+ * A request for a name without a version that has no versions is passed on to the repository
+ * since the name itself may exist.
+ *
+ * This class also implements a storage mechanism wrapper that adds a listNames(prefix, after,
+ * limit) operation to the wrapped storage mechanism.  Only the identifiers of the names are
+ * listed from the bucket that the repository stores them in, each citation is read through the
+ * wrapped storage mechanism.  A listing is authorized just like a name read: it may be requested
+ * without credentials, but any credentials that are passed with it must be valid.  The
+ * credentials are validated by the repository: before answering a request that has credentials
+ * the wrapper asks the repository for the certificate that they cite, and returns the response
+ * if the repository rejects them.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the number of names in each page of a listing
+const DEFAULT_LIMIT = 100;
+const MAXIMUM_LIMIT = 1000;
+
+// each segment of a prefix must be a valid name segment (which also rules out '..')
+const SEGMENT = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// the final segment of a versioned name and of a version wildcard (e.g. v2.3 and v2.*)
+const VERSION = /^v[0-9]+(\.[0-9]+)*$/;
+const WILDCARD = /^v([0-9]+\.)*\*$/;
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new name listing storage mechanism that wraps the specified storage
+ * mechanism and handles the name listing and version requests.
+ *
+ * @param {DigitalNotary} notary The digital notary that is used by the repository.
+ * @param {Object} storage The storage mechanism that maintains the names.
+ * @param {Object} buckets The bucket-style storage mechanism that the names are listed from.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {NameListing} The new name listing storage mechanism.
+ */
+const NameListing = function(notary, storage, buckets, debug) {
+    debug = debug || 0;  // default is off
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/services/NameListing',
+            $storage: bali.text(storage.toString())
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns a lambda handler that processes the name listing and version requests
+     * and passes all other requests on to the specified handler.
+     *
+     * @param {Function} handler The lambda handler for the repository.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(handler) {
+        return async function(request) {
+            const method = String(request.httpMethod || request.method).toUpperCase();
+            const path = String(request.path);  // "/repository/names/<prefix>/"
+            const tokens = path.split('/');
+            if (!['GET', 'HEAD'].includes(method) || tokens[2] !== 'names' || tokens.length < 4) {
+                return await handler(request);
+            }
+            if (!path.endsWith('/')) return await resolveVersion(handler, request, method, tokens);
+            const prefix = '/' + tokens.slice(3).join('/');
+            const segments = tokens.slice(3, -1);
+            if (!segments.every(function(segment) { return SEGMENT.test(segment); })) {
+                return encodeError(400, 'The prefix must be a sequence of valid name segments ending with a "/".');
+            }
+            const parameters = request.queryStringParameters || {};
+            const limit = Number(parameters.limit || DEFAULT_LIMIT);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAXIMUM_LIMIT) {
+                return encodeError(400, 'The limit must be an integer in the range [1..' + MAXIMUM_LIMIT + '].');
+            }
+            const after = parameters.after;
+            if (after !== undefined && !String(after).startsWith('/')) {
+                return encodeError(400, 'The after parameter must be a name.');
+            }
+            const rejection = await rejectCredentials(handler, request);
+            if (rejection) return rejection;
+            const response = encodeSuccess(await listPage(prefix, after, limit));
+            if (method === 'HEAD') response.body = undefined;
+            return response;
+        };
+    };
+
+    this.listNames = async function(prefix, after, limit) {
+        const identifiers = await buckets.listComponents('names', String(prefix).slice(1), after && generateIdentifier(after), limit);
+        return identifiers.map(function(identifier) {
+            return bali.component(extractName(identifier));
+        });
+    };
+
+    this.nameExists = async function(name) {
+        return await storage.nameExists(name);
+    };
+
+    this.readName = async function(name) {
+        return await storage.readName(name);
+    };
+
+    this.writeName = async function(name, citation) {
+        return await storage.writeName(name, citation);
+    };
+
+    this.documentExists = async function(citation) {
+        return await storage.documentExists(citation);
+    };
+
+    this.readDocument = async function(citation) {
+        return await storage.readDocument(citation);
+    };
+
+    this.writeDocument = async function(document) {
+        return await storage.writeDocument(document);
+    };
+
+    this.deleteDocument = async function(citation) {
+        return await storage.deleteDocument(citation);
+    };
+
+    this.contractExists = async function(citation) {
+        return await storage.contractExists(citation);
+    };
+
+    this.readContract = async function(citation) {
+        return await storage.readContract(citation);
+    };
+
+    this.writeContract = async function(contract) {
+        return await storage.writeContract(contract);
+    };
+
+    this.messageAvailable = async function(bag) {
+        return await storage.messageAvailable(bag);
+    };
+
+    this.messageCount = async function(bag) {
+        return await storage.messageCount(bag);
+    };
+
+    this.addMessage = async function(bag, message) {
+        return await storage.addMessage(bag, message);
+    };
+
+    this.removeMessage = async function(bag) {
+        return await storage.removeMessage(bag);
+    };
+
+    this.returnMessage = async function(bag, message) {
+        return await storage.returnMessage(bag, message);
+    };
+
+    this.deleteMessage = async function(bag, citation) {
+        return await storage.deleteMessage(bag, citation);
+    };
+
+    const names = this;
+
+    const resolveVersion = async function(handler, request, method, tokens) {
+        const last = tokens[tokens.length - 1];
+        if (VERSION.test(last)) return await handler(request);  // an exact name
+        const wildcard = WILDCARD.test(last);
+        const segments = wildcard ? tokens.slice(3, -1) : tokens.slice(3);
+        if (segments.length === 0 || !segments.every(function(segment) { return SEGMENT.test(segment); })) {
+            return await handler(request);  // the repository will reject it
+        }
+        const name = '/' + segments.join('/');
+        const base = wildcard ? last.slice(0, -1) : 'v';  // e.g. 'v2.'
+        const versions = await listVersions(name, base);
+        if (versions.length === 0) {
+            if (!wildcard) return await handler(request);  // the unversioned name may exist
+            return encodeError(404, 'The name has no matching versions.');
+        }
+        const rejection = await rejectCredentials(handler, request);
+        if (rejection) return rejection;
+        const parameters = request.queryStringParameters || {};
+        var response;
+        if (wildcard && parameters.history !== undefined) {
+            const history = bali.list();
+            for (var i = 0; i < versions.length; i++) {
+                const citation = await storage.readName(bali.component(name + '/' + versions[i]));
+                if (!citation) continue;  // it was deleted after it was listed
+                history.addItem(bali.catalog({
+                    $version: bali.component(versions[i]),
+                    $citation: citation
+                }));
+            }
+            response = encodeSuccess(bali.catalog({
+                $name: bali.component(name),
+                $versions: history
+            }));
+        } else {
+            const latest = name + '/' + versions[versions.length - 1];
+            const citation = await storage.readName(bali.component(latest));
+            if (!citation) return encodeError(404, 'The name has no matching versions.');
+            if (debug > 2) console.log('Resolved the name ' + name + ' to: ' + latest);
+            response = encodeSuccess(citation);
+            response.headers['content-location'] = '/repository/names' + latest;
+        }
+        if (method === 'HEAD') response.body = undefined;
+        return response;
+    };
+
+    const listVersions = async function(name, base) {
+        // the versions are the final segments of the names directly under the name
+        const prefix = name + '/';
+        const versions = (await names.listNames(prefix)).map(function(versioned) {
+            return versioned.toString().slice(prefix.length);
+        }).filter(function(version) {
+            return VERSION.test(version) && (base === 'v' || version === base.slice(0, -1) || version.startsWith(base));
+        });
+        return versions.sort(compareVersions);
+    };
+
+    const listPage = async function(prefix, after, limit) {
+        // list one extra name to find out whether there is another page
+        const listed = await names.listNames(prefix, after, limit + 1);
+        const items = bali.list();
+        const page = listed.slice(0, limit);
+        for (var i = 0; i < page.length; i++) {
+            const citation = await storage.readName(page[i]);
+            if (!citation) continue;  // it was deleted after it was listed
+            items.addItem(bali.catalog({
+                $name: page[i],
+                $citation: citation
+            }));
+        }
+        if (debug > 2) console.log('Listed ' + page.length + ' names with the prefix: ' + prefix);
+        const more = listed.length > limit;
+        return bali.catalog({
+            $prefix: bali.text(prefix),
+            $names: items,
+            $next: more ? page[page.length - 1] : bali.pattern.NONE
+        });
+    };
+
+    const rejectCredentials = async function(handler, request) {
+        // a request without credentials proceeds anonymously just like a name read
+        const headers = request.headers || {};
+        const encoded = headers['nebula-credentials'] || headers['Nebula-Credentials'];
+        if (!encoded) return;
+        var citation;
+        try {
+            const decoder = bali.decoder(0, debug);
+            const credentials = bali.component(Buffer.from(decoder.base32Decode(encoded)).toString('utf8'));
+            citation = credentials.getValue('$certificate');
+        } catch (cause) {
+            if (debug > 2) console.log('The credentials could not be decoded: ' + cause);
+        }
+        if (!citation || !citation.isType('/bali/collections/Catalog')) return encodeError(401, 'Invalid Credentials');
+
+        // the repository validates the credentials before it looks up the certificate
+        const path = '/' + String(request.path).split('/')[1] + '/contracts/' + citation.getValue('$tag').getValue() + '/' + citation.getValue('$version');
+        const response = await handler(Object.assign({}, request, {
+            httpMethod: 'HEAD',
+            method: 'HEAD',
+            path: path,
+            queryStringParameters: undefined,
+            body: undefined
+        }));
+        if (response.statusCode === 401) {
+            if (debug > 2) console.log('Invalid credentials were passed with the request.');
+            return response;
+        }
+    };
+
+    return this;
+};
+NameListing.prototype.constructor = NameListing;
+exports.NameListing = NameListing;
+
+
+// PRIVATE FUNCTIONS
+
+const generateIdentifier = function(name) {
+    return String(name).slice(1) + '.bali';  // the repository removes the leading '/'
+};
+
+const compareVersions = function(first, second) {
+    const a = first.slice(1).split('.').map(Number);
+    const b = second.slice(1).split('.').map(Number);
+    for (var i = 0; i < Math.max(a.length, b.length); i++) {
+        const difference = (a[i] || 0) - (b[i] || 0);
+        if (difference) return difference;
+    }
+    return a.length - b.length;  // v2 comes before v2.0
+};
+
+const extractName = function(identifier) {
+    return '/' + identifier.slice(0, -'.bali'.length);
+};
+
+const encodeSuccess = function(component) {
+    const body = component.toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store'
+        },
+        statusCode: 200,
+        body: body
+    };
+};
+
+const encodeError = function(status, message) {
+    const error = bali.exception({
+        $module: '/bali/services/NameListing',
+        $status: status,
+        $text: message
+    });
+    const body = error.getAttributes().toString();
+    const response = {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+    if (status === 401) {
+        response.headers['www-authenticate'] = 'Nebula-Credentials realm="The Bali Nebula™", charset="UTF-8"';
+    }
+    return response;
+};
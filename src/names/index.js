@@ -0,0 +1,66 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const storage = require('../storage');
+const NameListing = require('./NameListing').NameListing;
+
+
+/**
+ * This function initializes a storage mechanism wrapper that lists the names in the specified
+ * bucket-style storage mechanism that begin with a prefix, and resolves the latest version of a
+ * name.  The citations are read through the wrapped storage mechanism.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The storage mechanism that maintains the names.
+ * @param {Object} buckets The bucket-style storage mechanism that the names are listed from.
+ * @returns {NameListing} The new name listing storage mechanism.
+ */
+const listing = function(notary, repository, buckets, debug) {
+    return new NameListing(notary, repository, buckets, debug);
+};
+exports.listing = listing;
+
+/**
+ * This function initializes a storage mechanism wrapper that lists and resolves the names in the
+ * AWS S3 names bucket, or in the local filesystem if the storage mode of the configuration is
+ * 'local'.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The storage mechanism that maintains the names.
+ * @param {Object} configuration An object containing the name of the names bucket (or the
+ * storage mode and directory).
+ * @returns {NameListing} The new name listing storage mechanism.
+ */
+const service = function(notary, repository, configuration, debug) {
+    const buckets = (configuration.storage === 'local') ?
+        storage.local(configuration.directory, debug) :
+        storage.s3(configuration, debug);
+    return listing(notary, repository, buckets, debug);
+};
+exports.service = service;
@@ -0,0 +1,344 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class adds JSON content negotiation to the Bali Nebula™ services.  A request whose
+ * accept header prefers application/json receives its response as JSON, and a request whose
+ * content-type header is application/json has its JSON body converted to a Bali component
+ * before it is processed.  A request that accepts none of the supported types is rejected with
+ * a 406 (Not Acceptable) status, and a request with a body of any other type is rejected with a
+ * 415 (Unsupported Media Type) status.  Requests without these headers are processed as before.
+ * Every response has a vary header that includes Accept, so that caches keep the Bali and JSON
+ * representations of a resource apart.  For the same reason the etag of a JSON representation has
+ * a -json suffix (e.g. "<digest>-json"), which is removed from the if-match and if-none-match
+ * headers of a JSON request before it is processed.  An etag without the suffix does not match
+ * a JSON representation.
+ *
+ * The mapping between Bali components and JSON is lossless in both directions:
+ * <pre>
+ *   "text"  <->  "text"  (the text as it appears between the quotes in Bali)
+ *   5, -1.5  <->  5, -1.5  (only numbers that JavaScript represents exactly)
+ *   true, false  <->  true, false
+ *   none  <->  null
+ *   [1, 2]  <->  [1, 2]
+ *   [$key: value]  <->  {"$key": value}  (each key is the Bali source for the key)
+ *   [$key: value]($type: ...)  <->  {"$key": value, "@parameters": {"$type": ...}}
+ *   [1, 2]($type: /bali/collections/Set/v1)  <->  {"@items": [1, 2], "@parameters": {...}}
+ *   anything else  <->  {"@bali": "<the Bali source for the component>"}
+ * </pre>
+ * For example, a citation looks like this in JSON:
+ * <pre>
+ *   {
+ *       "$protocol": {"@bali": "v2"},
+ *       "$tag": {"@bali": "#BXC15F9H7VQ3ZQJDRNMY8A1LGL4S4B93"},
+ *       "$version": {"@bali": "v1"},
+ *       "$digest": {"@bali": "'...'"},
+ *       "@parameters": {"$type": {"@bali": "/bali/notary/Citation/v1"}}
+ *   }
+ * </pre>
+ * A JSON object key that is not valid Bali source is treated as a text key, so that plain JSON
+ * objects may also be sent.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the suffix that distinguishes the etag of a JSON representation from that of the Bali one
+const JSON_SUFFIX = '-json';
+
+// the media types that the services can produce, text/html is produced for browsers
+const BALI = 'application/bali';
+const JSON_TYPE = 'application/json';
+const PRODUCED = [BALI, JSON_TYPE, 'text/html'];
+
+// the sequential collections and the functions that construct them
+const SEQUENCES = {
+    '/bali/collections/List': bali.list,
+    '/bali/collections/Set': bali.set,
+    '/bali/collections/Stack': bali.stack,
+    '/bali/collections/Queue': bali.queue
+};
+
+// a number whose Bali source is also its JSON source
+const NUMBER = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?$/;
+
+// a catalog key that JavaScript would move to the front of an object
+const INDEX = /^(0|[1-9][0-9]*)$/;
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new content negotiation handler.
+ *
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {ContentNegotiation} The new content negotiation handler.
+ */
+const ContentNegotiation = function(debug) {
+    debug = debug || 0;  // default is off
+
+    /**
+     * This method returns a lambda handler that converts any JSON request body into Bali and
+     * the response body into JSON when the request prefers it, and passes each request on to
+     * the specified handler.
+     *
+     * @param {Function} handler The lambda handler for the service.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(handler) {
+        const negotiation = this;
+        return async function(request) {
+            const headers = request.headers || {};
+            const accept = headerValue(headers, 'accept');
+            const resultType = accept ? selectType(accept) : BALI;
+            if (!resultType) return addVary(encodeError(406, 'The accept header must allow one of: ' + PRODUCED.join(', ') + '.'));
+
+            const bodyType = headerValue(headers, 'content-type');
+            const mediaType = bodyType && bodyType.split(';')[0].trim().toLowerCase();
+            const replacements = {};
+            var body = request.body;
+            if (body && mediaType && mediaType !== BALI) {
+                if (mediaType !== JSON_TYPE) return addVary(encodeError(415, 'The content-type header must be one of: ' + BALI + ', ' + JSON_TYPE + '.'));
+                try {
+                    body = negotiation.fromJSON(String(body)).toString();
+                } catch (cause) {
+                    if (debug > 2) console.log('The request body is not valid JSON: ' + cause);
+                    return addVary(encodeError(400, 'The request body is not a valid JSON encoding of a Bali component.'));
+                }
+                replacements['content-type'] = BALI;
+            }
+            if (resultType === JSON_TYPE) {
+                replacements['accept'] = BALI;
+                ['if-match', 'if-none-match'].forEach(function(name) {
+                    const condition = headerValue(headers, name);
+                    if (condition) replacements[name] = removeSuffixes(condition);
+                });
+            }
+            if (Object.keys(replacements).length === 0) return addVary(await handler(request));  // nothing to convert
+
+            const response = await handler(Object.assign({}, request, {
+                headers: replaceHeaders(headers, replacements),
+                body: body
+            }));
+            return addVary((resultType === JSON_TYPE) ? addSuffix(negotiation.convertResponse(response)) : response);
+        };
+    };
+
+    /**
+     * This method converts the Bali body of the specified response into JSON.
+     *
+     * @param {Object} response The response to be converted.
+     * @returns {Object} The converted response.
+     */
+    this.convertResponse = function(response) {
+        const headers = response.headers || {};
+        if (headerValue(headers, 'content-type') !== BALI) return response;  // e.g. text/plain
+        const converted = Object.assign({}, response, {
+            headers: replaceHeaders(headers, {'content-type': JSON_TYPE})
+        });
+        if (response.body) {
+            converted.body = this.toJSON(bali.component(String(response.body)));
+            converted.headers['content-length'] = Buffer.byteLength(converted.body, 'utf8');
+        } else {
+            delete converted.headers['content-length'];  // it was the length of the Bali body
+        }
+        return converted;
+    };
+
+    /**
+     * This method returns the JSON encoding of the specified Bali component.
+     *
+     * @param {Component} component The Bali component to be encoded.
+     * @returns {String} The JSON encoding of the component.
+     */
+    this.toJSON = function(component) {
+        return JSON.stringify(exportComponent(component), null, 4);
+    };
+
+    /**
+     * This method returns the Bali component encoded by the specified JSON.
+     *
+     * @param {String} source The JSON encoding of the component.
+     * @returns {Component} The Bali component.
+     */
+    this.fromJSON = function(source) {
+        return importValue(JSON.parse(source));
+    };
+
+    return this;
+};
+ContentNegotiation.prototype.constructor = ContentNegotiation;
+exports.ContentNegotiation = ContentNegotiation;
+
+
+// PRIVATE FUNCTIONS
+
+const headerValue = function(headers, name) {
+    const key = Object.keys(headers).find(function(key) { return key.toLowerCase() === name; });
+    return key ? headers[key] : undefined;
+};
+
+const removeSuffixes = function(condition) {
+    // an etag without the suffix belongs to the Bali representation so it must not match
+    if (condition.trim() === '*') return condition;
+    return condition.split(',').map(function(etag) {
+        etag = etag.trim();
+        if (etag.endsWith(JSON_SUFFIX + '"')) return etag.slice(0, -JSON_SUFFIX.length - 1) + '"';
+        return etag.slice(0, -1) + '-bali"';
+    }).join(', ');
+};
+
+const addSuffix = function(response) {
+    const headers = response.headers || {};
+    const etag = headerValue(headers, 'etag');
+    if (!etag) return response;
+    return Object.assign({}, response, {
+        headers: replaceHeaders(headers, {'etag': etag.slice(0, -1) + JSON_SUFFIX + '"'})
+    });
+};
+
+const addVary = function(response) {
+    // the representation of every response depends on the accept header of its request
+    const headers = response.headers || {};
+    const vary = headerValue(headers, 'vary');
+    const fields = vary ? vary.split(',').map(function(field) { return field.trim().toLowerCase(); }) : [];
+    if (fields.includes('accept') || fields.includes('*')) return response;
+    return Object.assign({}, response, {
+        headers: replaceHeaders(headers, {'vary': vary ? vary + ', Accept' : 'Accept'})
+    });
+};
+
+const replaceHeaders = function(headers, replacements) {
+    const names = Object.keys(replacements);  // in lower case
+    const result = {};
+    Object.keys(headers).forEach(function(key) {
+        if (!names.includes(key.toLowerCase())) result[key] = headers[key];
+    });
+    names.forEach(function(name) {
+        if (replacements[name]) result[name] = replacements[name];
+    });
+    return result;
+};
+
+const selectType = function(accept) {
+    // order the media ranges by their quality, keeping the original order for equal qualities
+    const ranges = accept.split(',').map(function(range, index) {
+        const parts = range.split(';');
+        const quality = parts.slice(1).map(function(part) {
+            return part.trim().split('=');
+        }).find(function(pair) {
+            return pair[0] === 'q';
+        });
+        return {
+            type: parts[0].trim().toLowerCase(),
+            quality: quality ? Number(quality[1]) : 1,
+            index: index
+        };
+    }).filter(function(range) {
+        return range.quality > 0;
+    }).sort(function(first, second) {
+        return (second.quality - first.quality) || (first.index - second.index);
+    });
+    for (var i = 0; i < ranges.length; i++) {
+        const type = ranges[i].type;
+        if (PRODUCED.includes(type) || ['*/*', 'application/*', 'text/*'].includes(type)) return type;
+    }
+};
+
+const exportComponent = function(component) {
+    const parameters = component.getParameters();
+    if (component.isType('/bali/collections/Catalog')) {
+        const object = {};
+        const iterator = component.getIterator();
+        while (iterator.hasNext()) {
+            const association = iterator.getNext();
+            const key = association.getKey().toString();
+            if (INDEX.test(key)) return {'@bali': component.toString()};  // the order would be lost
+            object[key] = exportComponent(association.getValue());
+        }
+        if (parameters) object['@parameters'] = exportComponent(parameters);
+        return object;
+    }
+    const sequence = Object.keys(SEQUENCES).find(function(type) { return component.isType(type); });
+    if (sequence) {
+        const items = [];
+        const iterator = component.getIterator();
+        while (iterator.hasNext()) {
+            items.push(exportComponent(iterator.getNext()));
+        }
+        if (!parameters) return items;
+        return {'@items': items, '@parameters': exportComponent(parameters)};
+    }
+    if (parameters) return {'@bali': component.toString()};
+    if (component.isType('/bali/elements/Text')) return component.getValue();
+    const source = component.toString();
+    if (component.isType('/bali/elements/Number') && NUMBER.test(source) && String(Number(source)) === source) {
+        return Number(source);
+    }
+    if (component.isType('/bali/elements/Probability') && ['true', 'false'].includes(source)) return source === 'true';
+    if (source === 'none') return null;
+    return {'@bali': source};
+};
+
+const importValue = function(value) {
+    if (value === null) return bali.pattern.NONE;
+    if (typeof value === 'string') return bali.text(value);
+    if (typeof value === 'number') return bali.number(value);
+    if (typeof value === 'boolean') return bali.component(String(value));
+    if (Array.isArray(value)) return bali.list(value.map(importValue));
+    const parameters = value['@parameters'] && importValue(value['@parameters']);
+    if (typeof value['@bali'] === 'string') return bali.component(value['@bali']);
+    if (Array.isArray(value['@items'])) {
+        const type = String(parameters && parameters.getValue('$type'));
+        const sequence = Object.keys(SEQUENCES).find(function(name) { return type.startsWith(name + '/'); });
+        return SEQUENCES[sequence || '/bali/collections/List'](value['@items'].map(importValue), parameters);
+    }
+    const catalog = bali.catalog({}, parameters);
+    Object.keys(value).forEach(function(key) {
+        if (key === '@parameters') return;
+        catalog.setValue(importKey(key), importValue(value[key]));
+    });
+    return catalog;
+};
+
+const importKey = function(key) {
+    try {
+        return bali.component(key);
+    } catch (cause) {
+        return bali.text(key);  // a plain JSON key
+    }
+};
+
+const encodeError = function(status, message) {
+    const error = bali.exception({
+        $module: '/bali/services/ContentNegotiation',
+        $status: status,
+        $text: message
+    });
+    const body = error.getAttributes().toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': BALI,
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+};
@@ -0,0 +1,161 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class adds long polling to the requests that remove a message from a bag in the document
+ * repository:
+ * <pre>
+ *   DELETE /repository/messages/<bag tag>/<bag version>?wait=<seconds>
+ * </pre>
+ * If the bag exists but is empty the request is held until a message arrives or the wait runs
+ * out, so a consumer need not poll an empty bag over and over.  While the request is held the
+ * bag is checked directly in the storage mechanism after a short delay that grows with each
+ * empty check, and the request is only passed on again once a message is available.  If the
+ * wait runs out the response is the usual 404 (Not Found) response for an empty bag.  Any other
+ * 404 response, for example for a bag that does not exist, is returned immediately.
+ *
+ * The wait is limited to a maximum number of seconds that must leave enough time for the
+ * request to complete within the time limit of the lambda function.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the delays between the checks of an empty bag in milliseconds
+const MINIMUM_DELAY = 100;
+const MAXIMUM_DELAY = 1000;
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new handler for long polling message bag requests.
+ *
+ * @param {Object} storage The storage mechanism that maintains the bags and their messages.
+ * @param {Number|String} maximum The maximum number of seconds that a request may wait.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {LongPolling} The new long polling handler.
+ */
+const LongPolling = function(storage, maximum, debug) {
+    debug = debug || 0;  // default is off
+    maximum = validateMaximum(maximum, debug);
+
+    /**
+     * This method returns a lambda handler that holds each request to remove a message from an
+     * empty bag for up to its wait time, and passes all other requests on to the specified handler.
+     *
+     * @param {Function} handler The lambda handler for the repository.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(handler) {
+        return async function(request) {
+            const method = String(request.httpMethod || request.method).toUpperCase();
+            const tokens = String(request.path).split('/');  // "/repository/messages/<tag>/<version>"
+            const parameters = request.queryStringParameters || {};
+            if (method !== 'DELETE' || tokens[2] !== 'messages' || tokens.length !== 5 || parameters.wait === undefined) {
+                return await handler(request);
+            }
+            const wait = Number(parameters.wait);
+            if (!Number.isInteger(wait) || wait < 0 || wait > maximum) {
+                return encodeError(400, 'The wait must be an integer number of seconds in the range [0..' + maximum + '].');
+            }
+            request = Object.assign({}, request, {
+                queryStringParameters: removeWait(parameters)
+            });
+            const deadline = Date.now() + wait * 1000;
+            var response = await handler(request);
+            if (response.statusCode !== 404) return response;  // a message or an error
+            const bag = bagCitation(tokens[3], tokens[4]);
+            if (!bag || !(await storage.contractExists(bag))) return response;  // there is no such bag
+            var delay = MINIMUM_DELAY;
+            while (true) {
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) return response;  // the bag is still empty
+                if (debug > 2) console.log('The bag is empty, checking it again in ' + Math.min(delay, remaining) + 'ms.');
+                await pause(Math.min(delay, remaining));
+                delay = Math.min(delay * 2, MAXIMUM_DELAY);
+                if (!(await storage.messageAvailable(bag))) continue;
+                response = await handler(request);
+                if (response.statusCode !== 404) return response;  // a message or an error
+            }
+        };
+    };
+
+    return this;
+};
+LongPolling.prototype.constructor = LongPolling;
+exports.LongPolling = LongPolling;
+
+
+// PRIVATE FUNCTIONS
+
+const validateMaximum = function(value, debug) {
+    const maximum = Number(value || 0);
+    if (!Number.isInteger(maximum) || maximum < 0) {
+        const exception = bali.exception({
+            $module: '/bali/services/LongPolling',
+            $procedure: '$LongPolling',
+            $exception: '$invalidParameter',
+            $maximum: bali.text(String(value)),
+            $text: 'The maximum wait must be a non-negative integer number of seconds.'
+        });
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return maximum;
+};
+
+const bagCitation = function(tag, version) {
+    try {
+        return bali.catalog({
+            $tag: bali.component('#' + tag),
+            $version: bali.component(version)
+        });
+    } catch (cause) {
+        return undefined;  // the repository rejected the request
+    }
+};
+
+const removeWait = function(parameters) {
+    const remaining = Object.assign({}, parameters);
+    delete remaining.wait;
+    return Object.keys(remaining).length ? remaining : undefined;
+};
+
+const pause = function(milliseconds) {
+    return new Promise(function(resolve) { setTimeout(resolve, milliseconds); });
+};
+
+const encodeError = function(status, message) {
+    const error = bali.exception({
+        $module: '/bali/services/LongPolling',
+        $status: status,
+        $text: message
+    });
+    const body = error.getAttributes().toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+};
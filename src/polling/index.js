@@ -0,0 +1,35 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const LongPolling = require('./LongPolling').LongPolling;
+
+
+/**
+ * This function initializes a handler that holds each request to remove a message from an
+ * empty bag in the document repository until a message arrives or its wait runs out.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Object} storage The storage mechanism that maintains the bags and their messages.
+ * @param {Number|String} maximum The maximum number of seconds that a request may wait.
+ * @returns {LongPolling} The new long polling handler.
+ */
+const polling = function(storage, maximum, debug) {
+    return new LongPolling(storage, maximum, debug);
+};
+exports.polling = polling;
@@ -0,0 +1,92 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class maintains the usage counters for each account in the 'usage' bucket of a
+ * bucket-style storage mechanism so that they are shared by all instances of a service:
+ * <pre>
+ *   usage/<account>.bali
+ *   [
+ *       $window: 1591012345
+ *       $requests: 3
+ *       $stored: 48213
+ *       $drafts: [
+ *           "<draft tag>/<draft version>": 1024
+ *       ]
+ *   ]
+ * </pre>
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new set of usage counters that are kept in buckets.
+ *
+ * @param {Object} buckets The bucket-style storage mechanism used to maintain the counters.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {BucketCounters} The new usage counters.
+ */
+const BucketCounters = function(buckets, debug) {
+    debug = debug || 0;  // default is off
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/services/BucketCounters',
+            $buckets: bali.text(buckets.toString())
+        });
+        return catalog.toString();
+    };
+
+    this.readUsage = async function(account) {
+        const usage = await buckets.readComponent('usage', account + '.bali');
+        if (!usage) return;  // the account has no usage yet
+        const drafts = {};
+        const iterator = (usage.getValue('$drafts') || bali.catalog()).getIterator();  // an older usage has none
+        while (iterator.hasNext()) {
+            const association = iterator.getNext();
+            drafts[association.getKey().getValue()] = association.getValue().getReal();
+        }
+        return {
+            window: usage.getValue('$window').getReal(),
+            requests: usage.getValue('$requests').getReal(),
+            stored: usage.getValue('$stored').getReal(),
+            drafts: drafts
+        };
+    };
+
+    this.writeUsage = async function(account, usage) {
+        const drafts = bali.catalog();
+        Object.keys(usage.drafts || {}).forEach(function(draft) {
+            drafts.setValue(bali.text(draft), usage.drafts[draft]);
+        });
+        const component = bali.catalog({
+            $window: usage.window,
+            $requests: usage.requests,
+            $stored: usage.stored,
+            $drafts: drafts
+        });
+        await buckets.writeComponent('usage', account + '.bali', component);
+        if (debug > 2) console.log('The usage for account ' + account + ' is now: ' + component);
+    };
+
+    return this;
+};
+BucketCounters.prototype.constructor = BucketCounters;
+exports.BucketCounters = BucketCounters;
@@ -0,0 +1,51 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class maintains the usage counters for each account in memory.  The counters are lost
+ * when the service is unloaded so it should ONLY be used for testing.
+ */
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new set of in-memory usage counters.
+ *
+ * @returns {MemoryCounters} The new usage counters.
+ */
+const MemoryCounters = function() {
+    const accounts = {};
+
+    this.toString = function() {
+        return '[$module: /bali/services/MemoryCounters]';
+    };
+
+    this.readUsage = async function(account) {
+        const usage = accounts[account];
+        if (usage) return copyUsage(usage);
+    };
+
+    this.writeUsage = async function(account, usage) {
+        accounts[account] = copyUsage(usage);
+    };
+
+    return this;
+};
+MemoryCounters.prototype.constructor = MemoryCounters;
+exports.MemoryCounters = MemoryCounters;
+
+
+// PRIVATE FUNCTIONS
+
+const copyUsage = function(usage) {
+    return Object.assign({}, usage, {drafts: Object.assign({}, usage.drafts)});
+};
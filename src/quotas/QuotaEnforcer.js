@@ -0,0 +1,252 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class enforces per-account limits on the write requests (PUT, POST and DELETE) made to
+ * the document repository.  The following limits are supported (a limit of zero is unlimited):
+ * <pre>
+ *   requestRate: the maximum number of write requests per second
+ *   storedBytes: the maximum number of bytes of documents and contracts stored by an account
+ *   documentSize: the maximum number of bytes in a document, contract or message
+ *   messagesPerBag: the maximum number of messages that may be waiting in a bag
+ * </pre>
+ * A write request that exceeds a limit is rejected with a 429 (Too Many Requests) status and a
+ * retry-after header containing the number of seconds the caller should wait before trying again.
+ *
+ * Since a draft document may be saved many times, the size of each draft saved by an account
+ * is recorded with the usage of the account.  Saving a draft only charges the difference between
+ * the size of the new draft and the recorded size of the draft that it replaces, and deleting a
+ * draft credits its recorded size back to the account.  A contract can only be stored once.
+ *
+ * The account making each request is identified by the notary certificate cited by its
+ * credentials.  The signature on the credentials is validated by the repository, so the usage
+ * reserved for a request that the repository rejects as unauthenticated is released again.  The
+ * usage of each account is maintained by a counters object that supports the readUsage(account)
+ * and writeUsage(account, usage) operations, so that the usage may be shared by all instances of
+ * the service.  Since instances do not lock the counters, and a draft may be changed by another
+ * request between its size being charged and it being stored, the limits are approximate.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the number of seconds to wait before retrying a request that exceeds each limit
+const RETRY_RATE = 1;  // the next window
+const RETRY_BAG = 60;  // the bag should be drained by then
+const RETRY_QUOTA = 86400;  // the quota must be raised or documents deleted
+
+// the resource types whose bodies are stored
+const STORED_TYPES = ['documents', 'contracts'];
+
+// the number of certificates whose accounts are remembered by each instance
+const MAXIMUM_CERTIFICATES = 1000;
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new quota enforcer.
+ *
+ * @param {DigitalNotary} notary The digital notary used by the service.
+ * @param {Object} repository The document repository containing the notary certificates and
+ * message bags.
+ * @param {Object} counters The counters that maintain the usage of each account.
+ * @param {Object} limits An object containing the requestRate, storedBytes, documentSize and
+ * messagesPerBag limits.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {QuotaEnforcer} The new quota enforcer.
+ */
+const QuotaEnforcer = function(notary, repository, counters, limits, debug) {
+    debug = debug || 0;  // default is off
+    limits = {
+        requestRate: validateLimit('requestRate', limits.requestRate, debug),
+        storedBytes: validateLimit('storedBytes', limits.storedBytes, debug),
+        documentSize: validateLimit('documentSize', limits.documentSize, debug),
+        messagesPerBag: validateLimit('messagesPerBag', limits.messagesPerBag, debug)
+    };
+    const pending = {};  // the last update to the usage of each account
+    var certificates = {};  // the account of each certificate, they never change
+
+    /**
+     * This method returns a lambda handler that enforces the limits on each write request
+     * before passing it on to the specified handler.
+     *
+     * @param {Function} handler The lambda handler for the repository.
+     * @returns {Function} The new lambda handler.
+     */
+    this.handler = function(handler) {
+        return async function(request) {
+            const method = String(request.httpMethod || request.method).toUpperCase();
+            if (!['PUT', 'POST', 'DELETE'].includes(method)) return await handler(request);
+            const account = await requestAccount(request);
+            if (!account) return await handler(request);  // the repository will reject it
+
+            const tokens = String(request.path).split('/');  // "/repository/<type>/<identifier>"
+            const type = tokens[2];
+            const size = (typeof request.body === 'string') ? Buffer.byteLength(request.body, 'utf8') : 0;
+            const stored = (method === 'PUT' && STORED_TYPES.includes(type));
+            const message = (method === 'POST' && type === 'messages');
+            const draft = (type === 'documents' && ['PUT', 'DELETE'].includes(method)) ? tokens[3] + '/' + tokens[4] : undefined;
+
+            if ((stored || message) && limits.documentSize && size > limits.documentSize) {
+                if (debug > 2) console.log('The request body exceeds the maximum size: ' + size);
+                return encodeRejection(RETRY_QUOTA, 'The document exceeds the maximum size of ' + limits.documentSize + ' bytes.');
+            }
+            if (message && limits.messagesPerBag) {
+                const bag = resourceCitation(tokens[3], tokens[4]);
+                if (bag && await repository.messageCount(bag) >= limits.messagesPerBag) {
+                    return encodeRejection(RETRY_BAG, 'The bag already contains the maximum of ' + limits.messagesPerBag + ' messages.');
+                }
+            }
+
+            // reserve the request and any bytes that it will store beyond the draft it replaces
+            var charge = 0;
+            var replaced;  // the recorded size of the draft being replaced
+            const rejection = await updateUsage(account, function(usage) {
+                const now = Math.floor(Date.now() / 1000);
+                if (usage.window !== now) {
+                    usage.window = now;
+                    usage.requests = 0;
+                }
+                if (stored) {
+                    replaced = draft ? usage.drafts[draft] : undefined;
+                    charge = size - (replaced || 0);
+                }
+                if (limits.requestRate && usage.requests >= limits.requestRate) {
+                    return encodeRejection(RETRY_RATE, 'The account exceeded the maximum of ' + limits.requestRate + ' write requests per second.');
+                }
+                if (limits.storedBytes && charge > 0 && usage.stored + charge > limits.storedBytes) {
+                    return encodeRejection(RETRY_QUOTA, 'The account exceeded its quota of ' + limits.storedBytes + ' stored bytes.');
+                }
+                usage.requests++;
+                usage.stored = Math.max(0, usage.stored + charge);
+                if (stored && draft) usage.drafts[draft] = size;
+            });
+            if (rejection) return rejection;
+
+            // adjust the usage to reflect what actually happened
+            const response = await handler(request);
+            const deleted = (method === 'DELETE' && draft && response.statusCode === 200);
+            if (response.statusCode > 299 || deleted) {
+                await updateUsage(account, function(usage) {
+                    if (response.statusCode === 401) usage.requests = Math.max(0, usage.requests - 1);  // not the account
+                    if (response.statusCode > 299 && stored) {
+                        // nothing was stored so the draft keeps its recorded size
+                        usage.stored = Math.max(0, usage.stored - charge);
+                        if (draft && replaced === undefined) delete usage.drafts[draft];
+                        if (draft && replaced !== undefined) usage.drafts[draft] = replaced;
+                    }
+                    if (deleted) {
+                        usage.stored = Math.max(0, usage.stored - (usage.drafts[draft] || 0));
+                        delete usage.drafts[draft];
+                    }
+                });
+            }
+            return response;
+        };
+    };
+
+    const requestAccount = async function(request) {
+        // the signature on the credentials is left for the repository to validate
+        try {
+            const headers = request.headers || {};
+            if (!headers['nebula-credentials']) return;
+            const decoder = bali.decoder(0, debug);
+            const credentials = bali.component(Buffer.from(decoder.base32Decode(headers['nebula-credentials'])).toString('utf8'));
+            const citation = credentials.getValue('$certificate');
+            if (!citation || !citation.isType('/bali/collections/Catalog')) return;
+            const key = citation.toString();
+            if (!certificates[key]) {
+                const certificate = await repository.readContract(citation);
+                if (!certificate) return;
+                if (Object.keys(certificates).length >= MAXIMUM_CERTIFICATES) certificates = {};
+                certificates[key] = certificate.getValue('$account').getValue();
+            }
+            return certificates[key];
+        } catch (cause) {
+            if (debug > 2) console.log('The credentials could not be decoded: ' + cause);
+        }
+    };
+
+    const updateUsage = function(account, update) {
+        // the updates to the usage of each account are applied in order within this instance
+        const result = (pending[account] || Promise.resolve()).then(async function() {
+            const usage = (await counters.readUsage(account)) || {window: 0, requests: 0, stored: 0, drafts: {}};
+            const rejection = update(usage);
+            if (!rejection) await counters.writeUsage(account, usage);
+            return rejection;
+        });
+        pending[account] = result.catch(function() {});  // a failed update must not block the rest
+        return result;
+    };
+
+    return this;
+};
+QuotaEnforcer.prototype.constructor = QuotaEnforcer;
+exports.QuotaEnforcer = QuotaEnforcer;
+
+
+// PRIVATE FUNCTIONS
+
+const validateLimit = function(name, value, debug) {
+    const limit = Number(value || 0);
+    if (!Number.isInteger(limit) || limit < 0) {
+        const exception = bali.exception({
+            $module: '/bali/services/QuotaEnforcer',
+            $procedure: '$QuotaEnforcer',
+            $exception: '$invalidParameter',
+            $limit: bali.text(name),
+            $value: bali.text(String(value)),
+            $text: 'A limit must be a non-negative integer (zero is unlimited).'
+        });
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+    return limit;
+};
+
+const resourceCitation = function(tag, version) {
+    try {
+        return bali.catalog({
+            $tag: bali.component('#' + tag),
+            $version: bali.component(version)
+        });
+    } catch (cause) {
+        return undefined;  // the repository will reject the request
+    }
+};
+
+const encodeRejection = function(retry, message) {
+    const error = bali.exception({
+        $module: '/bali/services/QuotaEnforcer',
+        $status: 429,
+        $text: message
+    });
+    const body = error.getAttributes().toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store',
+            'retry-after': String(retry)
+        },
+        statusCode: 429,
+        body: body
+    };
+};
@@ -0,0 +1,103 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const storage = require('../storage');
+const QuotaEnforcer = require('./QuotaEnforcer').QuotaEnforcer;
+const MemoryCounters = require('./MemoryCounters').MemoryCounters;
+const BucketCounters = require('./BucketCounters').BucketCounters;
+
+
+/**
+ * This function initializes a quota enforcer that limits the write requests made by each
+ * account using the specified usage counters.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The document repository containing the notary certificates and
+ * message bags.
+ * @param {Object} counters The counters that maintain the usage of each account.
+ * @param {Object} limits An object containing the requestRate, storedBytes, documentSize and
+ * messagesPerBag limits (a limit of zero is unlimited).
+ * @returns {QuotaEnforcer} The new quota enforcer.
+ */
+const enforcer = function(notary, repository, counters, limits, debug) {
+    return new QuotaEnforcer(notary, repository, counters, limits, debug);
+};
+exports.enforcer = enforcer;
+
+/**
+ * This function initializes a set of usage counters that are kept in memory. The counters are
+ * not shared between instances of a service and should ONLY be used for testing.
+ *
+ * @returns {Object} The new in-memory usage counters.
+ */
+const memory = function() {
+    return new MemoryCounters();
+};
+exports.memory = memory;
+
+/**
+ * This function initializes a set of usage counters that are kept in the 'usage' bucket of the
+ * specified bucket-style storage mechanism.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Object} mechanism The bucket-style storage mechanism used to maintain the counters.
+ * @returns {Object} The new bucket-based usage counters.
+ */
+const buckets = function(mechanism, debug) {
+    return new BucketCounters(mechanism, debug);
+};
+exports.buckets = buckets;
+
+/**
+ * This function initializes a quota enforcer whose usage counters are kept in the AWS S3 usage
+ * bucket, or in the local filesystem if the storage mode of the configuration is 'local'.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {DigitalNotary} notary An object that implements the digital notary API.
+ * @param {Object} repository The document repository containing the notary certificates and
+ * message bags.
+ * @param {Object} configuration An object containing the name of the usage bucket (or the
+ * storage mode and directory) and the requestRate, storedBytes, documentSize and messagesPerBag
+ * limits.
+ * @returns {QuotaEnforcer} The new quota enforcer.
+ */
+const service = function(notary, repository, configuration, debug) {
+    const mechanism = (configuration.storage === 'local') ?
+        storage.local(configuration.directory, debug) :
+        storage.s3(configuration, debug);
+    return enforcer(notary, repository, buckets(mechanism, debug), configuration, debug);
+};
+exports.service = service;
@@ -0,0 +1,225 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a standalone HTTP server that exposes the lambda handlers for the Bali
+ * Nebula™ services without AWS API Gateway.  Each handler is mounted under the name of its
+ * service, which is the first segment of the request path:
+ * <pre>
+ *   /repository/names/...  => the handler for the repository service
+ *   /ledger/account/...    => the handler for the ledger service
+ * </pre>
+ * Each HTTP request is translated into the event that API Gateway would pass to the handler:
+ * <pre>
+ *   {
+ *       httpMethod: 'GET',
+ *       path: '/repository/names/...',
+ *       headers: {...},
+ *       queryStringParameters: {...},
+ *       body: '...'
+ *   }
+ * </pre>
+ * and the {statusCode, headers, body} result of the handler is written back as the response.
+ * Each segment of the path is decoded separately so that an encoded slash (%2F) remains part of
+ * its segment rather than splitting it in two.
+ */
+const http = require('http');
+const bali = require('bali-component-framework').api();
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new HTTP server that passes each request to the handler for the
+ * service named in its path.
+ *
+ * @param {Object} handlers An object mapping the name of each service to its lambda handler.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {HTTPServer} The new HTTP server.
+ */
+const HTTPServer = function(handlers, debug) {
+    debug = debug || 0;  // default is off
+
+    const server = http.createServer(function(message, response) {
+        processMessage(message, response).catch(function(cause) {
+            // the connection failed while the response was being written
+            if (debug > 0) console.error('The HTTP response could not be sent: ' + cause);
+            response.destroy();
+        });
+    });
+
+    /**
+     * This method starts listening for HTTP requests.
+     *
+     * @param {Number} port The TCP port on which to listen (0 selects an unused port).
+     * @param {String} host An optional host name or address on which to listen (the default
+     * is all addresses).
+     * @returns {Object} The address (and port) on which the server is listening.
+     */
+    this.listen = function(port, host) {
+        return new Promise(function(resolve, reject) {
+            server.once('error', reject);
+            server.listen(port, host, function() {
+                server.removeListener('error', reject);
+                resolve(server.address());
+            });
+        });
+    };
+
+    /**
+     * This method stops listening for new HTTP requests and waits for any open connections to
+     * complete.
+     */
+    this.close = function() {
+        return new Promise(function(resolve, reject) {
+            server.close(function(cause) {
+                if (cause) return reject(cause);
+                resolve();
+            });
+        });
+    };
+
+    const processMessage = async function(message, response) {
+        var result;
+        var request;
+        try {
+            request = await decodeMessage(message);
+        } catch (exception) {
+            // a malformed request target or an aborted request body
+            if (debug > 0) console.error(exception.toString());
+            await encodeResponse(encodeError(400, 'Bad Request'), response);
+            return;
+        }
+        try {
+            const handler = request && handlers[request.path.split('/')[1]];
+            if (!request) {
+                result = encodeError(413, 'Payload Too Large');
+            } else if (!handler) {
+                if (debug > 2) console.log('The server received a request for an unknown service: ' + request.path);
+                result = encodeError(404, 'Not Found');
+            } else {
+                result = await handler(request);
+            }
+        } catch (cause) {
+            if (debug > 0) {
+                console.error(bali.exception({
+                    $module: '/bali/services/HTTPServer',
+                    $procedure: '$processMessage',
+                    $exception: '$processingFailed',
+                    $method: bali.text(String(message.method)),
+                    $url: bali.text(String(message.url)),
+                    $text: 'The processing of the HTTP request failed.'
+                }, cause).toString());
+            }
+            result = encodeError(500, 'Internal Server Error');
+        }
+        await encodeResponse(result, response);
+    };
+
+    return this;
+};
+HTTPServer.prototype.constructor = HTTPServer;
+exports.HTTPServer = HTTPServer;
+
+
+// PRIVATE CONSTANTS
+
+// the largest request body accepted by AWS lambda functions
+const MAXIMUM_BODY = 6 * 1024 * 1024;
+
+
+// PRIVATE FUNCTIONS
+
+const decodeMessage = function(message) {
+    return new Promise(function(resolve, reject) {
+        const chunks = [];
+        var size = 0;
+        message.on('data', function(chunk) {
+            size += chunk.length;
+            if (size <= MAXIMUM_BODY) chunks.push(chunk);
+        });
+        message.on('error', reject);
+        message.on('end', function() {
+            if (size > MAXIMUM_BODY) return resolve();  // the body is too large
+            try {
+                const url = new URL(message.url, 'http://localhost');
+                const request = {
+                    httpMethod: message.method,
+                    path: decodePath(url.pathname),
+                    headers: message.headers  // already in lowercase
+                };
+                if (url.search) request.queryStringParameters = Object.fromEntries(url.searchParams);
+                if (size > 0) request.body = Buffer.concat(chunks).toString('utf8');
+                resolve(request);
+            } catch (cause) {
+                // an exception thrown here would not be caught by anything and end the process
+                reject(bali.exception({
+                    $module: '/bali/services/HTTPServer',
+                    $procedure: '$decodeMessage',
+                    $exception: '$badRequest',
+                    $url: bali.text(String(message.url)),
+                    $text: 'The request target is malformed.'
+                }, cause));
+            }
+        });
+    });
+};
+
+const decodePath = function(path) {
+    // a decoded slash must not be mistaken for a segment separator by the handlers
+    return path.split('/').map(function(segment) {
+        return decodeURIComponent(segment).replace(/\//g, '%2F');
+    }).join('/');
+};
+
+const encodeResponse = function(result, response) {
+    return new Promise(function(resolve, reject) {
+        const headers = {};
+        Object.keys(result.headers || {}).forEach(function(name) {
+            const value = result.headers[name];
+            if (value !== undefined && value !== null) headers[name] = value;
+        });
+        response.on('error', reject);
+        if (result.body === undefined || result.body === null) {
+            response.writeHead(result.statusCode, headers);  // a HEAD response keeps its content-length
+            response.end(resolve);
+        } else {
+            headers['content-length'] = Buffer.byteLength(result.body, 'utf8');  // not the string length
+            response.writeHead(result.statusCode, headers);
+            response.end(result.body, 'utf8', resolve);
+        }
+    });
+};
+
+const encodeError = function(status, message) {
+    const error = bali.exception({
+        $module: '/bali/services/HTTPServer',
+        $status: status,
+        $text: message
+    });
+    const body = error.getAttributes().toString();
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali',
+            'cache-control': 'no-store'
+        },
+        statusCode: status,
+        body: body
+    };
+};
@@ -0,0 +1,35 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+const HTTPServer = require('./HTTPServer').HTTPServer;
+
+
+/**
+ * This function initializes a standalone HTTP server that passes each request to the lambda
+ * handler for the service named by the first segment of its path.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Object} handlers An object mapping the name of each service (e.g. 'repository') to
+ * its lambda handler.
+ * @returns {HTTPServer} The new HTTP server.
+ */
+const server = function(handlers, debug) {
+    return new HTTPServer(handlers, debug);
+};
+exports.server = server;
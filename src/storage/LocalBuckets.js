@@ -0,0 +1,168 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////////////
+// This module should be used for LOCAL TESTING ONLY.  It is NOT SECURE and provides //
+// no guarantees on protecting access to the components.  YOU HAVE BEEN WARNED!!!    //
+///////////////////////////////////////////////////////////////////////////////////////
+
+
+/*
+ * This class implements a local filesystem based set of buckets.  Each type of component
+ * is maintained in its own subdirectory of the root directory as a UTF-8 encoded string.
+ * The component identifiers are treated as relative paths within each subdirectory.
+ */
+const os = require('os');
+const pfs = require('fs').promises;
+const bali = require('bali-component-framework').api();
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new instance of a set of local filesystem buckets.
+ *
+ * @param {String} root An optional root directory in which to create the buckets. If no
+ * directory is specified, a directory called '.bali/' is created in the home directory.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new set of local filesystem buckets.
+ */
+const LocalBuckets = function(root, debug) {
+    debug = debug || 0;  // default is off
+    root = root || os.homedir() + '/.bali/';
+    if (!root.endsWith('/')) root += '/';
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/services/LocalBuckets',
+            $root: bali.text(root)
+        });
+        return catalog.toString();
+    };
+
+    this.bucketExists = async function(type) {
+        try {
+            // the subdirectory for each type is created when its first component is written
+            const status = await pfs.stat(root);
+            return status.isDirectory();
+        } catch (exception) {
+            if (exception.code === 'ENOENT') return false;  // the root directory does not exist
+            // something else went wrong
+            throw exception;
+        }
+    };
+
+    this.listComponents = async function(type, prefix, after, limit) {
+        const location = root + type + '/';
+        const directory = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+        const identifiers = [];
+        await walkDirectory(location, directory, identifiers);
+        return identifiers.filter(function(identifier) {
+            return identifier.startsWith(prefix) && !(after && identifier <= after);
+        }).sort().slice(0, limit);
+    };
+
+    this.componentExists = async function(type, identifier) {
+        try {
+            const file = root + type + '/' + identifier;
+            await pfs.stat(file);  // attempt to access the file
+            return true;  // no exception, the file exists
+        } catch (exception) {
+            if (exception.code === 'ENOENT') return false;  // the file does not exist
+            // something else went wrong
+            throw exception;
+        }
+    };
+
+    this.readComponent = async function(type, identifier) {
+        try {
+            const file = root + type + '/' + identifier;
+            const source = await pfs.readFile(file, 'utf8');
+            return bali.component(source);
+        } catch (exception) {
+            if (exception.code === 'ENOENT') return;  // the file does not exist
+            // something else went wrong
+            throw exception;
+        }
+    };
+
+    this.writeComponent = async function(type, identifier, component) {
+        const file = root + type + '/' + identifier;
+        const path = file.slice(0, file.lastIndexOf('/'));
+        await pfs.mkdir(path, {recursive: true, mode: 0o700});
+        const source = component.toString() + EOL;
+        await pfs.writeFile(file, source, {encoding: 'utf8', mode: 0o600});
+    };
+
+    this.createComponent = async function(type, identifier, component) {
+        const file = root + type + '/' + identifier;
+        const path = file.slice(0, file.lastIndexOf('/'));
+        await pfs.mkdir(path, {recursive: true, mode: 0o700});
+        const source = component.toString() + EOL;
+        try {
+            // the exclusive flag fails if the file already exists
+            await pfs.writeFile(file, source, {encoding: 'utf8', mode: 0o600, flag: 'wx'});
+            return true;
+        } catch (exception) {
+            if (exception.code === 'EEXIST') return false;  // the file already exists
+            // something else went wrong
+            throw exception;
+        }
+    };
+
+    this.deleteComponent = async function(type, identifier) {
+        try {
+            const file = root + type + '/' + identifier;
+            await pfs.unlink(file);  // delete the file
+            return true;
+        } catch (exception) {
+            if (exception.code === 'ENOENT') return false;  // the file did not exist
+            // something else went wrong
+            throw exception;
+        }
+    };
+
+    return this;
+};
+LocalBuckets.prototype.constructor = LocalBuckets;
+exports.LocalBuckets = LocalBuckets;
+
+
+// PRIVATE FUNCTIONS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+const walkDirectory = async function(location, directory, identifiers) {
+    var entries;
+    try {
+        entries = await pfs.readdir(location + directory, {withFileTypes: true});
+    } catch (exception) {
+        if (exception.code === 'ENOENT') return;  // the directory does not exist
+        // something else went wrong
+        throw exception;
+    }
+    for (var i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.isDirectory()) {
+            await walkDirectory(location, directory + entry.name + '/', identifiers);
+        } else {
+            identifiers.push(directory + entry.name);
+        }
+    }
+};
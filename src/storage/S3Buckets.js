@@ -0,0 +1,186 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements an AWS S3 based set of buckets.  Each type of component is
+ * maintained in its own bucket as a UTF-8 encoded string.  The bucket names for each
+ * type are specified in the configuration object that is passed into the constructor.
+ */
+const aws = require('aws-sdk');
+const bali = require('bali-component-framework').api();
+
+
+// PUBLIC CLASSES
+
+/**
+ * This function creates a new instance of a set of S3 buckets.
+ *
+ * @param {Object} configuration An object mapping each component type to its bucket name, and
+ * optionally containing the AWS region of the buckets.
+ * @param {Boolean|Number} debug An optional number in the range 0..3 that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new set of S3 buckets.
+ */
+const S3Buckets = function(configuration, debug) {
+    debug = debug || 0;  // default is off
+    const s3 = new aws.S3({apiVersion: '2006-03-01', region: configuration.region});
+
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/services/S3Buckets',
+            $configuration: bali.catalog(configuration)
+        });
+        return catalog.toString();
+    };
+
+    this.bucketExists = async function(type) {
+        const bucket = generateBucket(type);
+        try {
+            // unlike a missing object, a missing bucket must not look like an empty one
+            await s3.headBucket({Bucket: bucket}).promise();
+            return true;
+        } catch (cause) {
+            if (cause.code === 'NotFound' || cause.code === 'NoSuchBucket') return false;
+            throw storageException('$bucketExists', bucket, '', cause, debug);
+        }
+    };
+
+    this.listComponents = async function(type, prefix, after, limit) {
+        const bucket = generateBucket(type);
+        try {
+            // S3 returns the keys in sorted order starting after the specified key
+            const identifiers = [];
+            var token;
+            do {
+                const response = await s3.listObjectsV2({
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    StartAfter: token ? undefined : after,
+                    MaxKeys: limit ? Math.min(limit - identifiers.length, 1000) : undefined,
+                    ContinuationToken: token
+                }).promise();
+                response.Contents.forEach(function(object) {
+                    identifiers.push(object.Key);
+                });
+                token = response.NextContinuationToken;
+            } while (token && !(limit && identifiers.length >= limit));
+            return identifiers;
+        } catch (cause) {
+            throw storageException('$listComponents', bucket, prefix, cause, debug);
+        }
+    };
+
+    this.componentExists = async function(type, identifier) {
+        const bucket = generateBucket(type);
+        try {
+            const response = await s3.headObject({Bucket: bucket, Key: identifier}).promise();
+            // must check for the delete marker for versioned buckets
+            return !response.DeleteMarker;
+        } catch (cause) {
+            if (cause.code === 'NotFound') return false;
+            throw storageException('$componentExists', bucket, identifier, cause, debug);
+        }
+    };
+
+    this.readComponent = async function(type, identifier) {
+        const bucket = generateBucket(type);
+        try {
+            const response = await s3.getObject({Bucket: bucket, Key: identifier}).promise();
+            // must check for the delete marker for versioned buckets
+            if (!response.DeleteMarker) {
+                const source = response.Body.toString('utf8');
+                return bali.component(source);
+            }
+        } catch (cause) {
+            if (cause.code === 'NoSuchKey') return;
+            throw storageException('$readComponent', bucket, identifier, cause, debug);
+        }
+    };
+
+    this.writeComponent = async function(type, identifier, component) {
+        const bucket = generateBucket(type);
+        try {
+            const source = component.toString() + EOL;
+            await s3.putObject({Bucket: bucket, Key: identifier, Body: source}).promise();
+        } catch (cause) {
+            throw storageException('$writeComponent', bucket, identifier, cause, debug);
+        }
+    };
+
+    this.createComponent = async function(type, identifier, component) {
+        const bucket = generateBucket(type);
+        try {
+            // S3 only stores the object if no object with the key exists yet
+            const source = component.toString() + EOL;
+            await s3.putObject({Bucket: bucket, Key: identifier, Body: source, IfNoneMatch: '*'}).promise();
+            return true;
+        } catch (cause) {
+            if (cause.code === 'PreconditionFailed' || cause.code === 'ConditionalRequestConflict') return false;
+            throw storageException('$createComponent', bucket, identifier, cause, debug);
+        }
+    };
+
+    this.deleteComponent = async function(type, identifier) {
+        const bucket = generateBucket(type);
+        // NOTE: for non-versioned buckets, deleteObject returns an empty object so
+        // there is no way to know whether or not the object even existed.
+        if (!(await this.componentExists(type, identifier))) return false;
+        try {
+            await s3.deleteObject({Bucket: bucket, Key: identifier}).promise();
+            return true;
+        } catch (cause) {
+            throw storageException('$deleteComponent', bucket, identifier, cause, debug);
+        }
+    };
+
+    const generateBucket = function(type) {
+        const bucket = configuration[type];
+        if (!bucket) {
+            throw bali.exception({
+                $module: '/bali/services/S3Buckets',
+                $procedure: '$generateBucket',
+                $exception: '$invalidType',
+                $type: bali.text(type),
+                $text: 'No bucket has been configured for the component type.'
+            });
+        }
+        return bucket;
+    };
+
+    return this;
+};
+S3Buckets.prototype.constructor = S3Buckets;
+exports.S3Buckets = S3Buckets;
+
+
+// PRIVATE FUNCTIONS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+const storageException = function(procedure, bucket, identifier, cause, debug) {
+    const exception = bali.exception({
+        $module: '/bali/services/S3Buckets',
+        $procedure: procedure,
+        $exception: '$storageFailed',
+        $bucket: bali.text(bucket),
+        $identifier: bali.text(identifier),
+        $text: 'The S3 bucket could not be accessed.'
+    }, cause);
+    if (debug > 0) console.error(exception.toString());
+    return exception;
+};
@@ -0,0 +1,69 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This module provides the bucket-style storage mechanisms used by the Bali Nebula™ services
+ * to maintain their own components.  Each mechanism supports the same six operations on the
+ * components of a given type: list, exists, read, write, create and delete.  The list operation
+ * returns the sorted identifiers that begin with a prefix, optionally starting after a given
+ * identifier and limited to a maximum number of identifiers.  The create operation is a write
+ * that only succeeds if no component with the identifier exists yet, and returns whether or not
+ * it succeeded.  Since the check is made atomically by the storage mechanism itself, it may be
+ * used to coordinate the changes made by separate processes.  Each mechanism can also report
+ * whether or not the bucket for a type of component exists, so that a misconfigured or deleted
+ * bucket is not mistaken for an empty one.
+ */
+const LocalBuckets = require('./LocalBuckets').LocalBuckets;
+const S3Buckets = require('./S3Buckets').S3Buckets;
+
+
+/**
+ * This function initializes a local filesystem based set of buckets. It provides no security
+ * around the filesystem and should ONLY be used for local testing.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {String} directory The top level directory to be used for the buckets.
+ * @returns {Object} The new file-based set of buckets.
+ */
+const local = function(directory, debug) {
+    return new LocalBuckets(directory, debug);
+};
+exports.local = local;
+
+/**
+ * This function initializes an AWS S3 based set of buckets. Each type of component is stored
+ * in the bucket named for that type in the configuration.
+ *
+ * An optional debug argument may be specified that controls the level of debugging that
+ * should be applied during execution. The allowed levels are as follows:
+ * <pre>
+ *   0: no debugging is applied (this is the default value and has the best performance)
+ *   1: log any exceptions to console.error before throwing them
+ *   2: perform argument validation checks on each call (poor performance)
+ *   3: log interesting arguments, states and results to console.log
+ * </pre>
+ *
+ * @param {Object} configuration An object mapping each component type to its S3 bucket name,
+ * and optionally containing the AWS region of the buckets.
+ * @returns {Object} The new S3-based set of buckets.
+ */
+const s3 = function(configuration, debug) {
+    return new S3Buckets(configuration, debug);
+};
+exports.s3 = s3;
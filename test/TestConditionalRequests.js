@@ -0,0 +1,254 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+const buckets = require('../src/storage').local(directory, debug);
+const conditions = require('../src/conditions').conditions(notary, buckets, debug);
+
+
+describe('Bali Nebula™ Conditional Requests', function() {
+
+    // a fake repository handler with a set of draft documents that fails to save a $broken one
+    const drafts = {};
+    var writes = 0;
+    const handler = conditions.handler(async function(request) {
+        if (request.body && bali.component(request.body).getValue('$broken')) {
+            return {headers: {}, statusCode: 500};
+        }
+        const key = request.path;
+        const existing = drafts[key];
+        switch (request.httpMethod) {
+            case 'HEAD':
+            case 'GET':
+                if (!existing) return {headers: {}, statusCode: 404};
+                if (request.headers['accept'] !== 'application/bali') {
+                    return {headers: {'content-type': 'text/html'}, statusCode: 200, body: '<html/>'};
+                }
+                return {
+                    headers: {'content-type': 'application/bali', 'cache-control': 'no-store'},
+                    statusCode: 200,
+                    body: request.httpMethod === 'GET' ? existing : undefined
+                };
+            case 'PUT':
+                writes++;
+                drafts[key] = request.body;
+                return {headers: {}, statusCode: existing ? 200 : 201, body: '"citation"'};
+            case 'DELETE':
+                writes++;
+                delete drafts[key];
+                return {headers: {}, statusCode: existing ? 200 : 404, body: existing};
+        }
+    });
+
+    const tag = bali.tag().getValue();
+    const path = '/repository/documents/' + tag + '/v1';
+
+    const sendRequest = async function(method, headers, body) {
+        return await handler({
+            headers: Object.assign({'accept': 'application/bali'}, headers),
+            httpMethod: method,
+            path: path,
+            body: body
+        });
+    };
+
+    const generateDraft = function(count) {
+        const draft = bali.instance('/bali/examples/Draft/v1', {
+            $count: count,
+            $timestamp: bali.moment()
+        });
+        return draft.toString();
+    };
+
+    const readRevision = async function() {
+        return Number((await sendRequest('GET')).headers['nebula-revision']);
+    };
+
+    const basedOn = async function(headers) {
+        // an update is based on the current revision of the draft
+        return Object.assign({'nebula-revision': String(await readRevision())}, headers);
+    };
+
+    const listClaims = async function() {
+        return await buckets.listComponents('revisions', tag + '/v1/');
+    };
+
+    describe('Test Conditional Reads', function() {
+
+        it('should return an etag that is the digest of the document', async function() {
+            const draft = generateDraft(1);
+            await sendRequest('PUT', {}, draft);
+            const response = await sendRequest('GET');
+            expect(response.statusCode).to.equal(200);
+            const stored = bali.component(response.body);
+            expect(stored.isEqualTo(bali.component(draft))).is.true;  // the draft is saved as it was written
+            expect(response.headers['nebula-revision']).to.equal('1');
+            const citation = await notary.citeDocument(stored);
+            expect(response.headers.etag).to.equal('"' + citation.getValue('$digest').toString().replace(/[^0-9A-Z]/g, '') + '"');
+            expect(response.headers['last-modified']).to.exist;
+            const head = await sendRequest('HEAD');
+            expect(head.headers.etag).to.equal(response.headers.etag);
+            expect(head.headers['nebula-revision']).to.equal('1');
+            expect(head.body).to.not.exist;
+
+            // browsers still receive HTML
+            expect((await sendRequest('GET', {accept: 'text/html'})).body).to.equal('<html/>');
+        });
+
+        it('should answer unchanged reads with 304', async function() {
+            const etag = (await sendRequest('GET')).headers.etag;
+            var response = await sendRequest('GET', {'If-None-Match': '"OTHER", ' + etag});
+            expect(response.statusCode).to.equal(304);
+            expect(response.headers.etag).to.equal(etag);
+            expect(response.body).to.not.exist;
+            response = await sendRequest('GET', {'if-none-match': 'W/' + etag});
+            expect(response.statusCode).to.equal(304);
+            response = await sendRequest('GET', {'if-none-match': '"OTHER"'});
+            expect(response.statusCode).to.equal(200);
+
+            // the modification time only applies without an if-none-match header
+            const later = new Date(Date.now() + 60000).toUTCString();
+            const earlier = new Date(Date.now() - 60000).toUTCString();
+            expect((await sendRequest('GET', {'if-modified-since': later})).statusCode).to.equal(304);
+            expect((await sendRequest('GET', {'if-modified-since': earlier})).statusCode).to.equal(200);
+            expect((await sendRequest('GET', {'if-modified-since': later, 'if-none-match': '"OTHER"'})).statusCode).to.equal(200);
+        });
+
+        it('should return the digest of the named document as the etag of a name', async function() {
+            const document = bali.component(generateDraft(1));
+            const citation = await notary.citeDocument(document);
+            const name = '/repository/names/bali/examples/' + bali.tag().getValue() + '/v1';
+            await handler({headers: {}, httpMethod: 'PUT', path: name, body: citation.toString()});
+            const response = await handler({headers: {'accept': 'application/bali'}, httpMethod: 'GET', path: name});
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers.etag).to.equal(await conditions.generateTag(document));
+            expect(response.headers.etag).to.not.equal(await conditions.generateTag(citation));
+        });
+
+        it('should pass on a response without any headers', async function() {
+            const bare = conditions.handler(async function(request) {
+                return {statusCode: 200, body: '"text"'};
+            });
+            const response = await bare({headers: {}, httpMethod: 'GET', path: '/repository/contracts/' + bali.tag().getValue() + '/v1'});
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.equal('"text"');
+        });
+
+    });
+
+    describe('Test Conditional Writes', function() {
+
+        it('should only write a draft that matches the precondition', async function() {
+            const etag = (await sendRequest('GET')).headers.etag;
+            writes = 0;
+            var response = await sendRequest('PUT', {'if-match': '"OTHER"'}, generateDraft(2));
+            expect(response.statusCode).to.equal(412);
+            expect(response.headers.etag).to.equal(etag);
+            expect(writes).to.equal(0);
+            response = await sendRequest('PUT', {'if-match': 'W/' + etag}, generateDraft(2));
+            expect(response.statusCode).to.equal(412);  // the comparison is strong
+
+            response = await sendRequest('PUT', await basedOn({'if-match': etag}), generateDraft(2));
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers.etag).to.equal((await sendRequest('GET')).headers.etag);
+            expect(writes).to.equal(1);
+
+            // the old etag no longer matches
+            response = await sendRequest('PUT', await basedOn({'if-match': etag}), generateDraft(3));
+            expect(response.statusCode).to.equal(412);
+        });
+
+        it('should only create a draft that does not exist', async function() {
+            var response = await sendRequest('PUT', {'if-none-match': '*'}, generateDraft(4));
+            expect(response.statusCode).to.equal(412);
+            const etag = (await sendRequest('GET')).headers.etag;
+            response = await sendRequest('DELETE', {'if-match': etag});
+            expect(response.statusCode).to.equal(200);
+            response = await sendRequest('PUT', {'if-match': '*'}, generateDraft(4));
+            expect(response.statusCode).to.equal(412);
+            response = await sendRequest('PUT', {'if-none-match': '*'}, generateDraft(4));
+            expect(response.statusCode).to.equal(201);
+        });
+
+        it('should assign the revisions of a draft', async function() {
+            // each update is saved as the next revision and only its claim is kept
+            const revision = await readRevision();
+            var response = await sendRequest('PUT', await basedOn(), generateDraft(5));
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['nebula-revision']).to.equal(String(revision + 1));
+            expect(await readRevision()).to.equal(revision + 1);
+            expect(await listClaims()).to.have.lengthOf(1);
+
+            // a draft that is deleted and created again starts over
+            expect((await sendRequest('DELETE')).statusCode).to.equal(200);
+            expect(await listClaims()).to.have.lengthOf(0);
+            response = await sendRequest('PUT', {}, generateDraft(6));
+            expect(response.statusCode).to.equal(201);
+            expect(response.headers['nebula-revision']).to.equal('1');
+        });
+
+        it('should reject an update based on a stale revision', async function() {
+            // two editors start from the same revision
+            const stale = await basedOn();
+            var response = await sendRequest('PUT', await basedOn(), generateDraft(7));
+            expect(response.statusCode).to.equal(200);
+            writes = 0;
+            response = await sendRequest('PUT', stale, generateDraft(8));
+            expect(response.statusCode).to.equal(409);
+            expect(writes).to.equal(0);
+            const current = bali.component(response.body);
+            expect(current.getValue('$count').getReal()).to.equal(7);
+            expect(response.headers.etag).to.equal(await conditions.generateTag(current));
+            expect(Number(response.headers['nebula-revision'])).to.equal(await readRevision());
+
+            // an update without a revision is stale too
+            response = await sendRequest('PUT', {}, generateDraft(8));
+            expect(response.statusCode).to.equal(409);
+
+            // the merged update succeeds
+            response = await sendRequest('PUT', await basedOn(), generateDraft(8));
+            expect(response.statusCode).to.equal(200);
+            expect(writes).to.equal(1);
+        });
+
+        it('should only accept one of two simultaneous updates', async function() {
+            const headers = await basedOn();
+            writes = 0;
+            const responses = await Promise.all([
+                sendRequest('PUT', headers, generateDraft(9)),
+                sendRequest('PUT', headers, generateDraft(10))
+            ]);
+            const statuses = responses.map(function(response) { return response.statusCode; }).sort();
+            expect(statuses).to.eql([200, 409]);
+            expect(writes).to.equal(1);
+        });
+
+        it('should release the revision of an update that is not saved', async function() {
+            const revision = await readRevision();
+            const broken = bali.component(generateDraft(11));
+            broken.setValue('$broken', true);
+            var response = await sendRequest('PUT', await basedOn(), broken.toString());
+            expect(response.statusCode).to.equal(500);
+            response = await sendRequest('PUT', await basedOn(), generateDraft(11));
+            expect(response.statusCode).to.equal(200);
+            expect(await readRevision()).to.equal(revision + 1);
+            expect(await listClaims()).to.have.lengthOf(1);
+        });
+
+    });
+
+});
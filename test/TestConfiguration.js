@@ -0,0 +1,116 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const fs = require('fs');
+const bali = require('bali-component-framework').api(debug);
+const directory = 'test/config/';
+const configuration = require('../src/configuration');
+
+
+describe('Bali Nebula™ Service Configuration', function() {
+
+    const types = ['names', 'documents', 'contracts', 'messages'];
+
+    const isException = function(type) {
+        return function(exception) {
+            return exception.getAttributes().getValue('$exception').toString() === type;
+        };
+    };
+
+    describe('Test Configuration', function() {
+
+        it('should derive the bucket names from the region and stage', function() {
+            var result = configuration.load(types, {}, {AWS_REGION: 'us-east-1'});
+            expect(result.debug).to.equal(1);
+            expect(result.region).to.equal('us-east-1');
+            expect(result.names).to.equal('bali-nebula-names-us-east-1');
+            expect(result.messages).to.equal('bali-nebula-messages-us-east-1');
+
+            result = configuration.load(types, {}, {
+                AWS_REGION: 'us-east-1',
+                NEBULA_REGION: 'eu-west-2',
+                NEBULA_STAGE: 'beta',
+                NEBULA_DEBUG: '3',
+                NEBULA_CONTRACTS_BUCKET: 'acme-contracts'
+            });
+            expect(result.debug).to.equal(3);
+            expect(result.region).to.equal('eu-west-2');
+            expect(result.documents).to.equal('bali-nebula-beta-documents-eu-west-2');
+            expect(result.contracts).to.equal('acme-contracts');
+        });
+
+        it('should read the settings from a configuration document', function() {
+            fs.mkdirSync(directory, {recursive: true});
+            const file = directory + 'service.bali';
+            fs.writeFileSync(file, bali.catalog({
+                $region: bali.text('ap-southeast-2'),
+                $debug: 0,
+                $buckets: bali.catalog({
+                    $names: bali.text('acme-names')
+                }),
+                $expiration: '~P1D'
+            }).toString());
+            var result = configuration.load(types, {expiration: '~P7D'}, {NEBULA_CONFIGURATION: file});
+            expect(result.debug).to.equal(0);
+            expect(result.names).to.equal('acme-names');
+            expect(result.documents).to.equal('bali-nebula-documents-ap-southeast-2');
+            expect(result.expiration).to.equal('~P1D');
+
+            // the environment variables for camel case settings use underscores
+            result = configuration.load(types, {requestRate: '10'}, {NEBULA_CONFIGURATION: file, NEBULA_REQUEST_RATE: '5'});
+            expect(result.requestRate).to.equal('5');
+
+            // the environment variables override the document
+            result = configuration.load(types, {expiration: '~P7D'}, {NEBULA_CONFIGURATION: file, NEBULA_DEBUG: '2'});
+            expect(result.debug).to.equal(2);
+        });
+
+        it('should support the local storage mode without a region or buckets', function() {
+            var result = configuration.load(types, {}, {AWS_REGION: 'us-east-1'});
+            expect(result.storage).to.equal('s3');
+            result = configuration.load(types, {}, {NEBULA_STORAGE: 'local', NEBULA_DIRECTORY: directory});
+            expect(result.storage).to.equal('local');
+            expect(result.directory).to.equal(directory);
+            expect(result.region).to.not.exist;
+            expect(result.names).to.not.exist;
+            assert.throws(function() {
+                configuration.load(types, {}, {NEBULA_STORAGE: 'floppy'});
+            }, isException('$invalidConfiguration'));
+        });
+
+        it('should reject missing or invalid settings', function() {
+            assert.throws(function() {
+                configuration.load(types, {}, {});
+            }, isException('$missingConfiguration'));
+            assert.throws(function() {
+                configuration.load(types, {secret: undefined}, {AWS_REGION: 'us-east-1'});
+            }, isException('$missingConfiguration'));
+            assert.throws(function() {
+                configuration.load(types, {}, {AWS_REGION: 'us-east-1', NEBULA_DEBUG: 'loud'});
+            }, isException('$invalidConfiguration'));
+            assert.throws(function() {
+                configuration.load(types, {}, {NEBULA_REGION: 'Mars'});
+            }, isException('$invalidConfiguration'));
+            assert.throws(function() {
+                configuration.load(types, {}, {AWS_REGION: 'us-east-1', NEBULA_NAMES_BUCKET: 'Bad_Bucket'});
+            }, isException('$invalidConfiguration'));
+            assert.throws(function() {
+                configuration.load(types, {}, {NEBULA_CONFIGURATION: directory + 'missing.bali'});
+            }, isException('$invalidConfiguration'));
+        });
+
+    });
+
+});
@@ -0,0 +1,183 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+const negotiation = require('../src/negotiation').negotiation(debug);
+
+
+describe('Bali Nebula™ Content Negotiation', function() {
+
+    // a fake service handler that echoes the body of each request
+    var received;
+    const handler = negotiation.handler(async function(request) {
+        received = request;
+        const body = request.body || '[$status: 404, $text: "Not Found"]';
+        return {
+            headers: {
+                'content-length': Buffer.byteLength(body, 'utf8'),
+                'content-type': 'application/bali',
+                'cache-control': 'no-store'
+            },
+            statusCode: request.body ? 200 : 404,
+            body: body
+        };
+    });
+
+    const sendRequest = async function(headers, body) {
+        return await handler({
+            headers: headers,
+            httpMethod: body ? 'PUT' : 'GET',
+            path: '/repository/documents/' + bali.tag().getValue() + '/v1',
+            body: body
+        });
+    };
+
+    describe('Test JSON Mapping', function() {
+
+        it('should generate the notary key', async function() {
+            const certificate = await notary.notarizeDocument(await notary.generateKey());
+            await notary.activateKey(certificate);
+        });
+
+        it('should map a contract to JSON and back without loss', async function() {
+            const contract = await notary.notarizeDocument(bali.instance('/bali/examples/Document/v1', {
+                $text: 'Say "hello"\nand "goodbye".',
+                $count: 5,
+                $ratio: -1.5,
+                $large: 1e21,
+                $flag: bali.component('true'),
+                $nothing: bali.pattern.NONE,
+                $probability: bali.component('.5'),
+                $items: bali.list([1, 'two', bali.catalog()]),
+                $set: bali.component('[1, 2]($type: /bali/collections/Set/v1)'),
+                $keys: bali.component('["text key": 1, 3: $three]'),
+                $procedure: bali.component('{\n    return 5\n}')
+            }));
+            const json = negotiation.toJSON(contract);
+            const object = JSON.parse(json);
+            expect(object.$document.$count).to.equal(5);
+            expect(object.$document.$flag).to.equal(true);
+            expect(object.$document.$nothing).to.equal(null);
+            expect(object.$document.$items[1]).to.equal('two');
+            expect(object.$document['@parameters'].$type['@bali']).to.equal('/bali/examples/Document/v1');
+            expect(negotiation.fromJSON(json).isEqualTo(contract)).is.true;
+            expect(negotiation.fromJSON(json).toString()).to.equal(contract.toString());
+        });
+
+        it('should accept plain JSON objects', async function() {
+            const component = negotiation.fromJSON('{"name": "Alice", "$age": 42, "tags": ["a", "b"]}');
+            expect(component.getValue(bali.text('name')).getValue()).to.equal('Alice');
+            expect(component.getValue('$age').getReal()).to.equal(42);
+            expect(component.getValue(bali.text('tags')).getSize()).to.equal(2);
+        });
+
+    });
+
+    describe('Test Content Negotiation', function() {
+
+        it('should convert JSON requests and responses', async function() {
+            const document = bali.instance('/bali/examples/Document/v1', {$count: 1});
+            var response = await sendRequest({
+                'Content-Type': 'application/json; charset=utf-8',
+                'Accept': 'application/json'
+            }, negotiation.toJSON(document));
+            expect(received.headers['content-type']).to.equal('application/bali');
+            expect(received.headers['accept']).to.equal('application/bali');
+            expect(received.headers['Accept']).to.not.exist;
+            expect(bali.component(received.body).isEqualTo(document)).is.true;
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.equal('application/json');
+            expect(response.headers['content-length']).to.equal(Buffer.byteLength(response.body, 'utf8'));
+            expect(response.headers['vary']).to.equal('Accept');
+            expect(negotiation.fromJSON(response.body).isEqualTo(document)).is.true;
+
+            // errors are converted too
+            response = await sendRequest({'accept': 'application/bali;q=0.5, application/json'});
+            expect(response.statusCode).to.equal(404);
+            expect(JSON.parse(response.body).$text).to.equal('Not Found');
+        });
+
+        it('should leave Bali requests alone', async function() {
+            const document = bali.instance('/bali/examples/Document/v1', {$count: 1});
+            const request = {
+                headers: {'content-type': 'application/bali', 'accept': 'application/bali'},
+                httpMethod: 'PUT',
+                path: '/repository/documents/' + bali.tag().getValue() + '/v1',
+                body: document.toString()
+            };
+            var response = await handler(request);
+            expect(received).to.equal(request);
+            expect(response.headers['content-type']).to.equal('application/bali');
+            expect(response.headers['vary']).to.equal('Accept');
+            response = await sendRequest({'accept': 'text/html,application/xhtml+xml,*/*;q=0.8'});
+            expect(received.headers['accept']).to.equal('text/html,application/xhtml+xml,*/*;q=0.8');
+            expect(response.headers['content-type']).to.equal('application/bali');
+            expect(response.headers['vary']).to.equal('Accept');
+        });
+
+        it('should add accept to an existing vary header', async function() {
+            const varying = negotiation.handler(async function(request) {
+                return {headers: {'Vary': 'Origin', 'content-type': 'application/bali'}, statusCode: 200, body: '"ok"'};
+            });
+            var response = await varying({headers: {'accept': 'application/json'}, httpMethod: 'GET', path: '/repository/names/bali'});
+            expect(response.headers['vary']).to.equal('Origin, Accept');
+            expect(response.headers['Vary']).to.not.exist;
+            response = await varying({headers: {}, httpMethod: 'GET', path: '/repository/names/bali'});
+            expect(response.headers['vary']).to.equal('Origin, Accept');
+        });
+
+        it('should distinguish the etags of the JSON representations', async function() {
+            const tagged = negotiation.handler(async function(request) {
+                received = request;
+                const status = request.headers['if-none-match'] === '"ABC"' ? 304 : 200;
+                return {headers: {'content-type': 'application/bali', 'etag': '"ABC"'}, statusCode: status, body: status === 200 ? '"ok"' : undefined};
+            });
+            const path = '/repository/documents/' + bali.tag().getValue() + '/v1';
+            var response = await tagged({headers: {'accept': 'application/json'}, httpMethod: 'GET', path: path});
+            expect(response.headers['etag']).to.equal('"ABC-json"');
+            response = await tagged({headers: {'accept': 'application/json', 'if-none-match': '"ABC-json"'}, httpMethod: 'GET', path: path});
+            expect(received.headers['if-none-match']).to.equal('"ABC"');
+            expect(response.statusCode).to.equal(304);
+            expect(response.headers['etag']).to.equal('"ABC-json"');
+
+            // the etag of the Bali representation does not match the JSON one and vice versa
+            response = await tagged({headers: {'accept': 'application/json', 'if-none-match': 'W/"ABC", "DEF-json"'}, httpMethod: 'GET', path: path});
+            expect(received.headers['if-none-match']).to.equal('W/"ABC-bali", "DEF"');
+            expect(response.statusCode).to.equal(200);
+            response = await tagged({headers: {'accept': 'application/bali'}, httpMethod: 'GET', path: path});
+            expect(response.headers['etag']).to.equal('"ABC"');
+        });
+
+        it('should reject unsupported types', async function() {
+            var response = await sendRequest({'accept': 'image/png'});
+            expect(response.statusCode).to.equal(406);
+            expect(response.headers['vary']).to.equal('Accept');
+            response = await sendRequest({'accept': 'application/json;q=0'});
+            expect(response.statusCode).to.equal(406);
+            response = await sendRequest({'content-type': 'application/xml'}, '<document/>');
+            expect(response.statusCode).to.equal(415);
+            response = await sendRequest({'content-type': 'application/json'}, '{"broken": ');
+            expect(response.statusCode).to.equal(400);
+        });
+
+        it('should erase all keys properly', async function() {
+            await notary.forgetKey();
+        });
+
+    });
+
+});
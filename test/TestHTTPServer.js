@@ -0,0 +1,138 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const http = require('http');
+
+// each handler records the requests it receives and echoes the body back
+const requests = [];
+const handler = async function(request) {
+    requests.push(request);
+    if (request.path.endsWith('/failure')) throw Error('The handler failed.');
+    return {
+        headers: {
+            'content-type': 'application/bali',
+            'cache-control': 'no-store',
+            'x-missing': undefined
+        },
+        statusCode: request.body ? 201 : 200,
+        body: request.httpMethod === 'HEAD' ? undefined : (request.body || '"none"')
+    };
+};
+const server = require('../src/server').server({
+    repository: handler,
+    ledger: handler
+}, debug);
+
+
+describe('Bali Nebula™ HTTP Server', function() {
+
+    var port;
+
+    const sendRequest = function(method, path, body, headers) {
+        return new Promise(function(resolve, reject) {
+            const request = http.request({
+                host: 'localhost',
+                port: port,
+                method: method,
+                path: path,
+                headers: headers
+            }, function(response) {
+                const chunks = [];
+                response.on('data', function(chunk) { chunks.push(chunk); });
+                response.on('end', function() {
+                    resolve({
+                        statusCode: response.statusCode,
+                        headers: response.headers,
+                        body: Buffer.concat(chunks).toString('utf8')
+                    });
+                });
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+    };
+
+    describe('Test Server Lifecycle', function() {
+
+        it('should start listening on an unused port', async function() {
+            const address = await server.listen(0, 'localhost');
+            port = address.port;
+            expect(port).to.be.above(0);
+        });
+
+        it('should translate the requests and responses of each service', async function() {
+            var response = await sendRequest('GET', '/repository/names/bali/examples/v1?version=2', undefined, {
+                'Nebula-Credentials': 'abcd'
+            });
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.equal('"none"');
+            expect(response.headers['content-type']).to.equal('application/bali');
+            expect(response.headers['content-length']).to.equal('6');
+            expect(response.headers['x-missing']).to.not.exist;
+            var request = requests.pop();
+            expect(request.httpMethod).to.equal('GET');
+            expect(request.path).to.equal('/repository/names/bali/examples/v1');
+            expect(request.headers['nebula-credentials']).to.equal('abcd');
+            expect(request.queryStringParameters).to.deep.equal({version: '2'});
+            expect(request.body).to.not.exist;
+
+            const document = '[$amount: 5($currency: $EUR), $memo: "€ and ™"]';
+            response = await sendRequest('POST', '/ledger/account/ABCD', document);
+            expect(response.statusCode).to.equal(201);
+            expect(response.body).to.equal(document);
+            expect(response.headers['content-length']).to.equal(String(Buffer.byteLength(document)));
+            request = requests.pop();
+            expect(request.path).to.equal('/ledger/account/ABCD');
+            expect(request.body).to.equal(document);
+            expect(request.queryStringParameters).to.not.exist;
+
+            // each segment of the path is decoded separately
+            response = await sendRequest('GET', '/repository/names/caf%C3%A9/a%2Fb/v1');
+            expect(response.statusCode).to.equal(200);
+            request = requests.pop();
+            expect(request.path).to.equal('/repository/names/café/a%2Fb/v1');
+            expect(request.path.split('/').length).to.equal(6);
+
+            response = await sendRequest('HEAD', '/ledger/account/ABCD');
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.equal('');
+        });
+
+        it('should reject requests that cannot be handled', async function() {
+            var response = await sendRequest('GET', '/unknown/names/bali');
+            expect(response.statusCode).to.equal(404);
+            expect(response.headers['content-type']).to.equal('application/bali');
+            expect(response.body).to.include('$status: 404');
+
+            response = await sendRequest('GET', '/ledger/account/failure');
+            expect(response.statusCode).to.equal(500);
+            expect(response.body).to.include('$status: 500');
+
+            // the server must survive malformed request targets
+            response = await sendRequest('GET', '/repository/names/bali/%E0%A4%A');
+            expect(response.statusCode).to.equal(400);
+            expect(response.body).to.include('$status: 400');
+            response = await sendRequest('GET', '//[');
+            expect(response.statusCode).to.equal(400);
+            response = await sendRequest('GET', '/ledger/account/ABCD');
+            expect(response.statusCode).to.equal(200);
+        });
+
+        it('should stop listening', async function() {
+            await server.close();
+        });
+
+    });
+
+});
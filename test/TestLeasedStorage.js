@@ -0,0 +1,185 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+
+const helpers = require('./helpers/MemoryRepository');
+const backend = new helpers.MemoryRepository(notary);
+const buckets = require('../src/storage').local(directory, debug);
+const storage = require('../src/leases').leased(notary, backend, buckets, debug);
+
+
+describe('Bali Nebula™ Leased Storage', function() {
+
+    const createBag = async function(attributes) {
+        const contract = await notary.notarizeDocument(bali.instance('/bali/examples/Bag/v1', attributes));
+        return await storage.writeContract(contract);
+    };
+
+    describe('Test Message Leases', function() {
+
+        it('should generate the notary key', async function() {
+            const certificate = await notary.notarizeDocument(await notary.generateKey());
+            await notary.activateKey(certificate);
+        });
+
+        it('should keep a message that is deleted before its lease expires', async function() {
+            const bag = await createBag({$timeout: '~PT0.05S'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            const message = await storage.removeMessage(bag);
+            expect(message).to.exist;
+            const citation = await notary.citeDocument(message);
+            const expiring = bag.getValue('$tag').getValue() + '/' + bag.getValue('$version') + '/expiring/';
+            expect(await buckets.listComponents('leases', expiring)).to.have.lengthOf(1);
+            expect(message.isEqualTo(await storage.deleteMessage(bag, citation))).is.true;
+            expect(await buckets.listComponents('leases', expiring)).to.be.empty;
+            await helpers.pause(100);
+            expect(await storage.messageCount(bag)).to.equal(0);
+            expect(await storage.removeMessage(bag)).to.not.exist;
+        });
+
+        it('should return a message whose lease expires to its bag', async function() {
+            const bag = await createBag({$timeout: '~PT0.05S'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            var message = await storage.removeMessage(bag);
+            expect(await storage.messageCount(bag)).to.equal(0);
+            await helpers.pause(100);  // the consumer crashed
+            expect(await storage.messageCount(bag)).to.equal(1);
+            expect(await storage.messageAvailable(bag)).is.true;
+            message = await storage.removeMessage(bag);
+            expect(message.getValue('$count').getReal()).to.equal(1);
+
+            // a lease that has not expired is left alone
+            expect(await storage.messageCount(bag)).to.equal(0);
+        });
+
+        it('should only read the leases that have expired', async function() {
+            const bag = await createBag({$timeout: '~PT0.05S'});
+            const other = await createBag({$timeout: '~PT1M'});
+            for (var count = 1; count <= 3; count++) {
+                await storage.addMessage(bag, helpers.generateMessage(count));
+                await storage.addMessage(other, helpers.generateMessage(count));
+                await storage.removeMessage(bag);
+                await storage.removeMessage(other);
+            }
+            await helpers.pause(100);
+            const reads = [];
+            const readComponent = buckets.readComponent;
+            buckets.readComponent = async function(type, identifier) {
+                reads.push(identifier);
+                return await readComponent.call(buckets, type, identifier);
+            };
+            try {
+                expect(await storage.messageCount(other)).to.equal(0);
+                expect(reads).to.be.empty;  // none of its leases have expired
+                expect(await storage.messageCount(bag)).to.equal(3);
+                const prefix = other.getValue('$tag').getValue() + '/';
+                expect(reads.some(function(identifier) { return identifier.startsWith(prefix); })).is.false;
+            } finally {
+                buckets.readComponent = readComponent;
+            }
+        });
+
+        it('should only expire a lease once when two consumers access its bag', async function() {
+            const other = require('../src/leases').leased(notary, backend, buckets, debug);
+            const bag = await createBag({$timeout: '~PT0.05S'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            const message = await storage.removeMessage(bag);
+            await helpers.pause(100);
+            await Promise.all([storage.messageCount(bag), other.messageCount(bag)]);
+            expect(await storage.messageCount(bag)).to.equal(1);
+            const identifier = bag.getValue('$tag').getValue() + '/' + bag.getValue('$version') + '/' +
+                message.getParameter('$tag').getValue() + '/' + message.getParameter('$version') + '.bali';
+            const lease = await buckets.readComponent('leases', identifier);
+            expect(lease.getValue('$failures').getReal()).to.equal(1);
+            expect(await buckets.listComponents('leases', bag.getValue('$tag').getValue() + '/' + bag.getValue('$version') + '/claims/')).to.be.empty;
+        });
+
+        it('should reject a consumer whose lease has expired', async function() {
+            const bag = await createBag({$timeout: '~PT0.05S'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            const stale = await storage.removeMessage(bag);
+            expect(stale.getParameter('$lease')).to.exist;
+            await helpers.pause(100);
+            const message = await storage.removeMessage(bag);  // leased to the next consumer
+            expect(message.getParameter('$lease').isEqualTo(stale.getParameter('$lease'))).is.false;
+
+            // the first consumer can no longer return or delete the message
+            const isStale = function(exception) {
+                return exception.getAttributes().getValue('$exception').toString() === '$staleLease';
+            };
+            await assert.rejects(async function() {
+                await storage.returnMessage(bag, stale);
+            }, isStale);
+            await assert.rejects(async function() {
+                await storage.deleteMessage(bag, await notary.citeDocument(stale));
+            }, isStale);
+            const uncited = bali.catalog({$tag: message.getParameter('$tag'), $version: message.getParameter('$version')});
+            await assert.rejects(async function() {
+                await storage.deleteMessage(bag, uncited);  // without the token
+            }, isStale);
+
+            // the lease of the second consumer is unaffected
+            expect(message.isEqualTo(await storage.deleteMessage(bag, await notary.citeDocument(message)))).is.true;
+            expect(await storage.messageCount(bag)).to.equal(0);
+        });
+
+        it('should move a message to the dead-letter bag after too many failed leases', async function() {
+            const deadLetters = await createBag({$description: 'The dead letters.'});
+            const bag = await createBag({
+                $timeout: '~PT0.05S',
+                $retries: 3,
+                $deadLetters: deadLetters
+            });
+            await storage.addMessage(bag, helpers.generateMessage(1));
+
+            // the first failure is explicit and the rest are expired leases
+            var message = await storage.removeMessage(bag);
+            await storage.returnMessage(bag, message);
+            expect(await storage.messageCount(bag)).to.equal(1);
+            message = await storage.removeMessage(bag);
+            await helpers.pause(100);
+            expect(await storage.messageCount(bag)).to.equal(1);
+            message = await storage.removeMessage(bag);
+            await helpers.pause(100);
+
+            // the third failure moves the message
+            expect(await storage.messageCount(bag)).to.equal(0);
+            expect(await storage.messageCount(deadLetters)).to.equal(1);
+            message = await storage.removeMessage(deadLetters);
+            expect(message.getValue('$count').getReal()).to.equal(1);
+            expect(await buckets.listComponents('leases', bag.getValue('$tag').getValue() + '/')).to.be.empty;
+        });
+
+        it('should keep returning a message without a dead-letter bag', async function() {
+            const bag = await createBag({$timeout: '~PT0.05S', $retries: 1});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            for (var i = 0; i < 3; i++) {
+                expect(await storage.removeMessage(bag)).to.exist;
+                await helpers.pause(100);
+                expect(await storage.messageCount(bag)).to.equal(1);
+            }
+        });
+
+        it('should erase all keys properly', async function() {
+            await notary.forgetKey();
+        });
+
+    });
+
+});
@@ -0,0 +1,807 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const pfs = require('fs').promises;
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+
+// a minimal in-memory document repository holding the notarized contracts
+const contracts = {};
+const repository = {
+    readContract: async function(citation) {
+        return contracts[citation.getValue('$tag') + '/' + citation.getValue('$version')];
+    },
+    writeContract: async function(contract) {
+        const citation = await notary.citeDocument(contract.getValue('$document'));
+        contracts[citation.getValue('$tag') + '/' + citation.getValue('$version')] = contract;
+        return citation;
+    }
+};
+const ledger = require('../src/ledger').test(notary, repository, directory, undefined, undefined, debug);
+
+
+describe('Bali Nebula™ Ledger', function() {
+
+    const debit = bali.tag().getValue();
+    const credit = bali.tag().getValue();
+
+    const generateTransaction = function(from, to, total) {
+        return bali.instance('/bali/examples/Transaction/v1', {
+            $timestamp: bali.moment(),
+            $product: 'Snickers Bar',
+            $quantity: 10,
+            $price: '1.25($currency: $USD)',
+            $tax: '1.07($currency: $USD)',
+            $total: total,
+            $debits: bali.list([
+                bali.catalog({$account: bali.text(from), $amount: total})
+            ]),
+            $credits: bali.list([
+                bali.catalog({$account: bali.text(to), $amount: total})
+            ])
+        });
+    };
+
+    const isException = function(type) {
+        return function(exception) {
+            return exception.getAttributes().getValue('$exception').toString() === type;
+        };
+    };
+
+    const balanceOf = async function(account, currency) {
+        const balance = await ledger.fetchBalance(account);
+        return balance.getValue('$balances').getValue(currency || '$USD').getReal();
+    };
+
+    const pause = function(milliseconds) {
+        return new Promise(function(resolve) { setTimeout(resolve, milliseconds); });
+    };
+
+    describe('Test Ledger', function() {
+
+        it('should perform an account lifecycle', async function() {
+            // make sure the new accounts do not yet exist
+            expect(await ledger.accountExists(debit)).is.false;
+            expect(await ledger.fetchBalance(debit)).to.not.exist;
+
+            // create the new accounts
+            await ledger.createAccount(debit, bali.catalog({
+                $currency: '$USD',
+                $overdraft: 100
+            }));
+            await ledger.createAccount(credit, bali.catalog({
+                $description: 'This is an example account.'
+            }));
+
+            // make sure the new accounts exist
+            expect(await ledger.accountExists(debit)).is.true;
+            expect(await ledger.accountExists(credit)).is.true;
+            expect(await balanceOf(debit)).to.equal(0);
+
+            // attempt to create the same account again
+            await assert.rejects(async function() {
+                await ledger.createAccount(debit);
+            });
+
+            // attempt to use an invalid account identifier
+            await assert.rejects(async function() {
+                await ledger.accountExists('../accounts');
+            });
+        });
+
+        it('should perform a transaction lifecycle', async function() {
+            const identifier = bali.tag().getValue();
+            const transaction = generateTransaction(debit, credit, '13.57($currency: $USD)');
+
+            // make sure the new transaction does not yet exist
+            expect(await ledger.transactionExists(identifier)).is.false;
+            expect(await ledger.fetchTransaction(identifier)).to.not.exist;
+
+            // execute the new transaction
+            await ledger.executeTransaction(identifier, transaction);
+
+            // make sure the new transaction exists
+            expect(await ledger.transactionExists(identifier)).is.true;
+            expect(transaction.isEqualTo(await ledger.fetchTransaction(identifier))).is.true;
+
+            // attempt to execute the same transaction again
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(identifier, transaction);
+            });
+        });
+
+        it('should enforce double-entry semantics', async function() {
+            expect(await balanceOf(debit)).to.equal(-13.57);
+            expect(await balanceOf(credit)).to.equal(13.57);
+
+            // attempt to execute an unbalanced transaction
+            const unbalanced = generateTransaction(debit, credit, '5($currency: $USD)');
+            unbalanced.setValue('$credits', bali.list([
+                bali.catalog({$account: bali.text(credit), $amount: '4.99($currency: $USD)'})
+            ]));
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), unbalanced);
+            }, isException('$unbalancedTransaction'));
+
+            // attempt to execute a transaction involving an account that does not exist
+            const unknown = generateTransaction(debit, bali.tag().getValue(), '5($currency: $USD)');
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), unknown);
+            }, isException('$unknownAccount'));
+
+            // attempt to execute a transaction in the wrong currency
+            const foreign = generateTransaction(credit, debit, '5($currency: $EUR)');
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), foreign);
+            }, isException('$currencyMismatch'));
+
+            // attempt to overdraw an account that has no overdraft limit
+            const overdraft = generateTransaction(credit, debit, '13.58($currency: $USD)');
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), overdraft);
+            }, isException('$insufficientFunds'));
+
+            // make sure none of the rejected transactions changed the balances
+            expect(await balanceOf(debit)).to.equal(-13.57);
+            expect(await balanceOf(credit)).to.equal(13.57);
+
+            // split a transaction across several credits
+            const split = generateTransaction(credit, debit, '10.07($currency: $USD)');
+            split.setValue('$debits', bali.list([
+                bali.catalog({$account: bali.text(credit), $amount: '10.07($currency: $USD)'})
+            ]));
+            split.setValue('$credits', bali.list([
+                bali.catalog({$account: bali.text(debit), $amount: '10($currency: $USD)'}),
+                bali.catalog({$account: bali.text(debit), $amount: '0.07($currency: $USD)'})
+            ]));
+            await ledger.executeTransaction(bali.tag().getValue(), split);
+            expect(await balanceOf(debit)).to.equal(-3.5);
+            expect(await balanceOf(credit)).to.equal(3.5);
+
+            // make sure the transactions were posted to the ledgers for each account
+            const entries = (await ledger.fetchTransactions(credit)).getValue('$entries');
+            expect(entries.getSize()).to.equal(2);
+            expect(entries.getItem(1).getValue('$balances').getValue('$USD').getReal()).to.equal(13.57);
+            expect(entries.getItem(2).getValue('$balances').getValue('$USD').getReal()).to.equal(3.5);
+        });
+
+        it('should settle and void pending transactions', async function() {
+            const payer = bali.tag().getValue();
+            const payee = bali.tag().getValue();
+            await ledger.createAccount(payer, bali.catalog({$overdraft: 50}));
+            await ledger.createAccount(payee);
+            const availableOf = async function(account) {
+                const balance = await ledger.fetchBalance(account);
+                return balance.getValue('$available').getValue('$USD').getReal();
+            };
+
+            // authorize a transaction which only holds the funds
+            const identifier = bali.tag().getValue();
+            const authorization = generateTransaction(payer, payee, '30($currency: $USD)');
+            authorization.setValue('$state', '$pending');
+            await ledger.executeTransaction(identifier, authorization);
+            expect(await balanceOf(payer)).to.equal(0);
+            expect(await availableOf(payer)).to.equal(-30);
+            expect(await balanceOf(payee)).to.equal(0);
+
+            // attempt to draw on the held funds
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), generateTransaction(payer, payee, '25($currency: $USD)'));
+            }, isException('$insufficientFunds'));
+
+            // settle the transaction
+            await ledger.settleTransaction(identifier);
+            expect(await balanceOf(payer)).to.equal(-30);
+            expect(await availableOf(payer)).to.equal(-30);
+            expect(await balanceOf(payee)).to.equal(30);
+            expect((await ledger.fetchTransaction(identifier)).getValue('$state').toString()).to.equal('$settled');
+            await assert.rejects(async function() {
+                await ledger.settleTransaction(identifier);
+            }, isException('$transactionNotPending'));
+
+            // authorize another transaction and then void it
+            const other = bali.tag().getValue();
+            const cancelled = generateTransaction(payer, payee, '10($currency: $USD)');
+            cancelled.setValue('$state', '$pending');
+            await ledger.executeTransaction(other, cancelled);
+            expect(await availableOf(payer)).to.equal(-40);
+            await ledger.voidTransaction(other);
+            expect(await balanceOf(payer)).to.equal(-30);
+            expect(await availableOf(payer)).to.equal(-30);
+            expect((await ledger.fetchTransaction(other)).getValue('$state').toString()).to.equal('$voided');
+            expect(await ledger.voidTransaction(bali.tag().getValue())).to.not.exist;
+
+            // let the holds of a pending transaction expire
+            const hasty = require('../src/ledger').test(notary, repository, directory, bali.component('~PT0.05S'), undefined, debug);
+            const expiring = bali.tag().getValue();
+            const expired = generateTransaction(payer, payee, '20($currency: $USD)');
+            expired.setValue('$state', '$pending');
+            await hasty.executeTransaction(expiring, expired);
+            expect(await availableOf(payer)).to.equal(-50);
+            await pause(100);
+            expect(await availableOf(payer)).to.equal(-30);
+            await assert.rejects(async function() {
+                await hasty.settleTransaction(expiring);
+            }, isException('$holdExpired'));
+            expect((await ledger.fetchTransaction(expiring)).getValue('$state').toString()).to.equal('$expired');
+            expect(await balanceOf(payer)).to.equal(-30);
+
+            // attempt to execute a transaction with an invalid state
+            const settled = generateTransaction(payer, payee, '1($currency: $USD)');
+            settled.setValue('$state', '$settled');
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), settled);
+            }, isException('$invalidTransaction'));
+        });
+
+        it('should reverse a posted transaction', async function() {
+            const payer = bali.tag().getValue();
+            const payee = bali.tag().getValue();
+            await ledger.createAccount(payer, bali.catalog({$overdraft: 50}));
+            await ledger.createAccount(payee);
+
+            // execute a transaction in error
+            const identifier = bali.tag().getValue();
+            await ledger.executeTransaction(identifier, generateTransaction(payer, payee, '12.5($currency: $USD)'));
+            expect(await balanceOf(payer)).to.equal(-12.5);
+            expect(await balanceOf(payee)).to.equal(12.5);
+
+            // reverse the transaction
+            const reversal = bali.tag().getValue();
+            const document = await ledger.reverseTransaction(identifier, reversal, bali.text('Charged the wrong account.'));
+            expect(document.getValue('$reverses').getValue()).to.equal(identifier);
+            expect(document.isEqualTo(await ledger.fetchTransaction(reversal))).is.true;
+            expect(await balanceOf(payer)).to.equal(0);
+            expect(await balanceOf(payee)).to.equal(0);
+
+            // attempt to reverse the transaction again
+            await assert.rejects(async function() {
+                await ledger.reverseTransaction(identifier, bali.tag().getValue());
+            }, isException('$transactionReversed'));
+            expect(await ledger.reverseTransaction(bali.tag().getValue(), bali.tag().getValue())).to.not.exist;
+
+            // fetch the original transaction together with its reversal
+            await ledger.executeTransaction(bali.tag().getValue(), generateTransaction(payer, payee, '1($currency: $USD)'));
+            const page = await ledger.fetchTransactions(payer, bali.catalog({$transaction: bali.text(identifier)}));
+            const entries = page.getValue('$entries');
+            expect(entries.getSize()).to.equal(2);
+            expect(entries.getItem(1).getValue('$identifier').getValue()).to.equal(identifier);
+            expect(entries.getItem(2).getValue('$identifier').getValue()).to.equal(reversal);
+
+            // attempt to reverse a pending transaction
+            const pending = bali.tag().getValue();
+            const authorization = generateTransaction(payer, payee, '5($currency: $USD)');
+            authorization.setValue('$state', '$pending');
+            await ledger.executeTransaction(pending, authorization);
+            await assert.rejects(async function() {
+                await ledger.reverseTransaction(pending, bali.tag().getValue());
+            }, isException('$transactionNotSettled'));
+        });
+
+        it('should serialize the changes made by separate ledger instances', async function() {
+            const payer = bali.tag().getValue();
+            const payee = bali.tag().getValue();
+            await ledger.createAccount(payer, bali.catalog({$overdraft: 100}));
+            await ledger.createAccount(payee);
+
+            // a second instance sharing the same buckets cannot create the same account
+            const other = require('../src/ledger').test(notary, repository, directory, undefined, undefined, debug);
+            await assert.rejects(async function() {
+                await other.createAccount(payer);
+            }, isException('$accountExists'));
+
+            // only one of two simultaneous debits fits within the overdraft limit
+            const results = await Promise.all([ledger, other].map(function(instance) {
+                const transaction = generateTransaction(payer, payee, '60($currency: $USD)');
+                return instance.executeTransaction(bali.tag().getValue(), transaction).then(function() {
+                    return 'executed';
+                }, function(exception) {
+                    return exception.getAttributes().getValue('$exception').toString();
+                });
+            }));
+            expect(results.sort()).to.eql(['$insufficientFunds', 'executed']);
+            expect(await balanceOf(payer)).to.equal(-60);
+            expect(await balanceOf(payee)).to.equal(60);
+
+            // the ledgers of both accounts still form a single hash chain
+            expect((await other.verifyLedger(payer)).getValue('$verified').toBoolean()).is.true;
+            expect((await other.verifyLedger(payee)).getValue('$verified').toBoolean()).is.true;
+        });
+
+        it('should only execute or reverse a transaction once across ledger instances', async function() {
+            const payer = bali.tag().getValue();
+            const another = bali.tag().getValue();
+            const first = bali.tag().getValue();
+            const second = bali.tag().getValue();
+            await ledger.createAccount(payer, bali.catalog({$overdraft: 100}));
+            await ledger.createAccount(another, bali.catalog({$overdraft: 100}));
+            await ledger.createAccount(first, bali.catalog({$overdraft: 100}));  // so a stale reversal still fits
+            await ledger.createAccount(second, bali.catalog({$overdraft: 100}));
+            const other = require('../src/ledger').test(notary, repository, directory, undefined, undefined, debug);
+            const outcome = function(promise) {
+                return promise.then(function() {
+                    return 'executed';
+                }, function(exception) {
+                    return exception.getAttributes().getValue('$exception').toString();
+                });
+            };
+
+            // two instances reuse the same transaction identifier with legs on different accounts
+            const identifier = bali.tag().getValue();
+            var results = await Promise.all([
+                outcome(ledger.executeTransaction(identifier, generateTransaction(payer, first, '10($currency: $USD)'))),
+                outcome(other.executeTransaction(identifier, generateTransaction(another, second, '10($currency: $USD)')))
+            ]);
+            expect(results.sort()).to.eql(['$transactionExists', 'executed']);
+            expect(await balanceOf(payer) + await balanceOf(another)).to.equal(-10);
+            expect(await balanceOf(first) + await balanceOf(second)).to.equal(10);
+
+            // two instances reverse the same transaction at the same time
+            results = await Promise.all([ledger, other].map(function(instance) {
+                return outcome(instance.reverseTransaction(identifier, bali.tag().getValue()));
+            }));
+            expect(results.sort()).to.eql(['$transactionReversed', 'executed']);
+            expect(await balanceOf(payer) + await balanceOf(another)).to.equal(0);
+            expect(await balanceOf(first) + await balanceOf(second)).to.equal(0);
+        });
+
+        it('should exchange currencies using a notarized exchange rate', async function() {
+            const buyer = bali.tag().getValue();
+            const seller = bali.tag().getValue();
+
+            // create a notary certificate for the exchange rates
+            const publicKey = await notary.generateKey();
+            const certificate = await notary.notarizeDocument(publicKey);
+            const authority = await notary.activateKey(certificate);
+            await repository.writeContract(certificate);
+            const trusting = require('../src/ledger').test(notary, repository, directory, undefined, [authority.getValue('$tag')], debug);
+
+            // create the multi-currency accounts
+            await ledger.createAccount(buyer, bali.catalog({
+                $currencies: bali.list(['$USD', '$EUR']),
+                $overdraft: 1000
+            }));
+            await ledger.createAccount(seller, bali.catalog({
+                $currencies: bali.list(['$USD', '$EUR'])
+            }));
+            expect(await balanceOf(buyer, '$USD')).to.equal(0);
+            expect(await balanceOf(buyer, '$EUR')).to.equal(0);
+            await assert.rejects(async function() {
+                await ledger.createAccount(bali.tag().getValue(), bali.catalog({
+                    $currencies: bali.list(['$USD', '$USD'])
+                }));
+            }, isException('$invalidAccount'));
+
+            // attempt to exchange currencies without an exchange rate
+            const transaction = generateTransaction(buyer, seller, '100($currency: $USD)');
+            transaction.setValue('$credits', bali.list([
+                bali.catalog({$account: bali.text(seller), $amount: '92($currency: $EUR)'})
+            ]));
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), transaction);
+            }, isException('$unbalancedTransaction'));
+
+            // attempt to exchange currencies using an exchange rate that was not notarized
+            const rate = bali.instance('/bali/ledger/ExchangeRate/v1', {
+                $from: '$USD',
+                $to: '$EUR',
+                $rate: 0.92
+            });
+            transaction.setValue('$exchange', await notary.citeDocument(rate));
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), transaction);
+            }, isException('$invalidExchange'));
+
+            // attempt to exchange currencies using a ledger that trusts no exchange rate authorities
+            await repository.writeContract(await notary.notarizeDocument(rate));
+            await assert.rejects(async function() {
+                await ledger.executeTransaction(bali.tag().getValue(), transaction);
+            }, isException('$invalidExchange'));
+
+            // exchange currencies using an exchange rate notarized by a trusted authority
+            await trusting.executeTransaction(bali.tag().getValue(), transaction);
+            expect(await balanceOf(buyer, '$USD')).to.equal(-100);
+            expect(await balanceOf(buyer, '$EUR')).to.equal(0);
+            expect(await balanceOf(seller, '$USD')).to.equal(0);
+            expect(await balanceOf(seller, '$EUR')).to.equal(92);
+
+            // attempt to exchange currencies at the wrong rate
+            const wrong = generateTransaction(buyer, seller, '100($currency: $USD)');
+            wrong.setValue('$credits', bali.list([
+                bali.catalog({$account: bali.text(seller), $amount: '93($currency: $EUR)'})
+            ]));
+            wrong.setValue('$exchange', await notary.citeDocument(rate));
+            await assert.rejects(async function() {
+                await trusting.executeTransaction(bali.tag().getValue(), wrong);
+            }, isException('$unbalancedTransaction'));
+
+            // attempt to exchange currencies using an exchange rate notarized by an untrusted account
+            const stranger = require('bali-digital-notary').test(bali.tag(), directory + 'stranger/', debug);
+            await repository.writeContract(await stranger.notarizeDocument(await stranger.generateKey()));
+            const inflated = bali.instance('/bali/ledger/ExchangeRate/v1', {
+                $from: '$USD',
+                $to: '$EUR',
+                $rate: 1000000
+            });
+            await repository.writeContract(await stranger.notarizeDocument(inflated));
+            const minted = generateTransaction(buyer, seller, '1($currency: $USD)');
+            minted.setValue('$credits', bali.list([
+                bali.catalog({$account: bali.text(seller), $amount: '1000000($currency: $EUR)'})
+            ]));
+            minted.setValue('$exchange', await notary.citeDocument(inflated));
+            await assert.rejects(async function() {
+                await trusting.executeTransaction(bali.tag().getValue(), minted);
+            }, isException('$invalidExchange'));
+            await stranger.forgetKey();
+
+            // attempt to exchange currencies using an exchange rate contract without a certificate
+            const unsigned = bali.instance('/bali/ledger/ExchangeRate/v1', {
+                $from: '$USD',
+                $to: '$EUR',
+                $rate: 0.91
+            });
+            await repository.writeContract(bali.catalog({$document: unsigned}));
+            const anonymous = generateTransaction(buyer, seller, '100($currency: $USD)');
+            anonymous.setValue('$credits', bali.list([
+                bali.catalog({$account: bali.text(seller), $amount: '91($currency: $EUR)'})
+            ]));
+            anonymous.setValue('$exchange', await notary.citeDocument(unsigned));
+            await assert.rejects(async function() {
+                await trusting.executeTransaction(bali.tag().getValue(), anonymous);
+            }, isException('$invalidExchange'));
+            expect(await balanceOf(seller, '$EUR')).to.equal(92);
+        });
+
+        it('should generate a notarized account statement', async function() {
+            const payer = bali.tag().getValue();
+            const payee = bali.tag().getValue();
+            await ledger.createAccount(payer, bali.catalog({$overdraft: 100}));
+            await ledger.createAccount(payee);
+
+            // make sure a statement cannot be generated for an account that does not exist
+            expect(await ledger.generateStatement(bali.tag().getValue())).to.not.exist;
+
+            // execute some transactions on either side of the start of the window
+            await ledger.executeTransaction(bali.tag().getValue(), generateTransaction(payer, payee, '10($currency: $USD)'));
+            await pause(5);  // make sure the timestamps differ
+            const start = bali.moment();
+            await pause(5);
+            await ledger.executeTransaction(bali.tag().getValue(), generateTransaction(payer, payee, '20($currency: $USD)'));
+            await ledger.executeTransaction(bali.tag().getValue(), generateTransaction(payee, payer, '5($currency: $USD)'));
+
+            // generate a statement covering the window
+            const contract = await ledger.generateStatement(payer, bali.catalog({$from: start, $to: bali.moment()}));
+            const certificate = await repository.readContract(contract.getValue('$certificate'));
+            expect(await notary.validContract(contract, certificate)).is.true;
+            const statement = contract.getValue('$document');
+            expect(statement.getValue('$opening').getValue('$USD').getReal()).to.equal(-10);
+            const transactions = statement.getValue('$transactions');
+            expect(transactions.getSize()).to.equal(2);
+            expect(transactions.getItem(1).getValue('$balances').getValue('$USD').getReal()).to.equal(-30);
+            expect(statement.getValue('$closing').getValue('$USD').getReal()).to.equal(-25);
+            expect(statement.getValue('$closing').isEqualTo((await ledger.fetchBalance(payer)).getValue('$balances'))).is.true;
+
+            // generate a statement covering the entire history of the account
+            const history = (await ledger.generateStatement(payer)).getValue('$document');
+            expect(history.getValue('$opening').getValue('$USD').getReal()).to.equal(0);
+            expect(history.getValue('$transactions').getSize()).to.equal(3);
+
+            // attempt to use an invalid window
+            await assert.rejects(async function() {
+                await ledger.generateStatement(payer, bali.catalog({$from: 5}));
+            }, isException('$invalidParameters'));
+        });
+
+        it('should perform a ledger lifecycle', async function() {
+            const identifier = bali.tag().getValue();
+
+            // make sure the new ledger is empty
+            expect(await ledger.fetchTransactions(identifier)).to.not.exist;
+
+            // post some transactions to the ledger
+            const first = generateTransaction(debit, credit, '1.25($currency: $USD)');
+            await ledger.postTransaction(identifier, first);
+            const second = generateTransaction(credit, debit, '1.25($currency: $USD)');
+            await ledger.postTransaction(identifier, second);
+
+            // fetch the transactions in the order they were posted
+            const page = await ledger.fetchTransactions(identifier);
+            expect(page.getValue('$cursor').isEqualTo(bali.pattern.NONE)).is.true;
+            const entries = page.getValue('$entries');
+            expect(entries.getSize()).to.equal(2);
+            expect(entries.getItem(1).getValue('$sequence').getReal()).to.equal(1);
+            expect(first.isEqualTo(entries.getItem(1).getValue('$transaction'))).is.true;
+            expect(entries.getItem(2).getValue('$sequence').getReal()).to.equal(2);
+            expect(second.isEqualTo(entries.getItem(2).getValue('$transaction'))).is.true;
+        });
+
+        it('should page through a filtered ledger', async function() {
+            const identifier = bali.tag().getValue();
+            const other = bali.tag().getValue();
+            const start = bali.moment();
+
+            // post some transactions to the ledger
+            for (var count = 1; count <= 5; count++) {
+                await ledger.postTransaction(identifier, generateTransaction(debit, credit, count + '($currency: $USD)'));
+            }
+            await ledger.postTransaction(identifier, generateTransaction(other, credit, '6($currency: $EUR)'));
+
+            // walk through the ledger a page at a time
+            var parameters = bali.catalog({$size: 4});
+            var page = await ledger.fetchTransactions(identifier, parameters);
+            expect(page.getValue('$entries').getSize()).to.equal(4);
+            parameters.setValue('$cursor', page.getValue('$cursor'));
+            page = await ledger.fetchTransactions(identifier, parameters);
+            expect(page.getValue('$entries').getSize()).to.equal(2);
+            expect(page.getValue('$entries').getItem(1).getValue('$sequence').getReal()).to.equal(5);
+            expect(page.getValue('$cursor').isEqualTo(bali.pattern.NONE)).is.true;
+
+            // filter the entries by amount
+            parameters = bali.catalog({$minimum: '2($currency: $USD)', $maximum: 4});
+            page = await ledger.fetchTransactions(identifier, parameters);
+            expect(page.getValue('$entries').getSize()).to.equal(3);
+
+            // filter the entries by counterparty
+            parameters = bali.catalog({$counterparty: bali.text(other)});
+            page = await ledger.fetchTransactions(identifier, parameters);
+            expect(page.getValue('$entries').getSize()).to.equal(1);
+            expect(page.getValue('$entries').getItem(1).getValue('$sequence').getReal()).to.equal(6);
+
+            // filter the entries by timestamp
+            parameters = bali.catalog({$from: start, $to: bali.moment()});
+            page = await ledger.fetchTransactions(identifier, parameters);
+            expect(page.getValue('$entries').getSize()).to.equal(6);
+            parameters = bali.catalog({$from: bali.moment()});
+            page = await ledger.fetchTransactions(identifier, parameters);
+            expect(page.getValue('$entries').getSize()).to.equal(0);
+
+            // attempt to use invalid parameters
+            await assert.rejects(async function() {
+                await ledger.fetchTransactions(identifier, bali.catalog({$size: 0}));
+            }, isException('$invalidParameters'));
+            await assert.rejects(async function() {
+                await ledger.fetchTransactions(identifier, bali.catalog({$cursor: bali.text('BOGUS')}));
+            }, isException('$invalidParameters'));
+        });
+
+        it('should detect tampering with a ledger', async function() {
+            const identifier = bali.tag().getValue();
+
+            // make sure the new ledger cannot be verified
+            expect(await ledger.verifyLedger(identifier)).to.not.exist;
+
+            // post some transactions to the ledger
+            for (var count = 1; count <= 4; count++) {
+                await ledger.postTransaction(identifier, generateTransaction(debit, credit, count + '($currency: $USD)'));
+            }
+            var verification = await ledger.verifyLedger(identifier);
+            expect(verification.getValue('$verified').toBoolean()).is.true;
+            expect(verification.getValue('$count').getReal()).to.equal(4);
+
+            // make sure each entry cites the entry that preceded it
+            const entries = (await ledger.fetchTransactions(identifier)).getValue('$entries');
+            expect(entries.getItem(1).getValue('$previous').isEqualTo(bali.pattern.NONE)).is.true;
+            expect(await notary.citationMatches(entries.getItem(2).getValue('$previous'), entries.getItem(1))).is.true;
+
+            // alter the amount of the second entry
+            const file = directory + 'ledgers/' + identifier + '/000000000002.bali';
+            const entry = bali.component(await pfs.readFile(file, 'utf8'));
+            entry.getValue('$transaction').setValue('$total', '200($currency: $USD)');
+            await pfs.writeFile(file, entry.toString() + '\n', 'utf8');
+            verification = await ledger.verifyLedger(identifier);
+            expect(verification.getValue('$verified').toBoolean()).is.false;
+            expect(verification.getValue('$sequence').getReal()).to.equal(3);
+
+            // remove the latest entry from a second ledger
+            const other = bali.tag().getValue();
+            await ledger.postTransaction(other, generateTransaction(debit, credit, '1($currency: $USD)'));
+            await ledger.postTransaction(other, generateTransaction(debit, credit, '2($currency: $USD)'));
+            await pfs.unlink(directory + 'ledgers/' + other + '/000000000002.bali');
+            verification = await ledger.verifyLedger(other);
+            expect(verification.getValue('$verified').toBoolean()).is.false;
+            expect(verification.getValue('$sequence').getReal()).to.equal(2);
+        });
+
+    });
+
+    describe('Test Ledger Engine', function() {
+
+        const engine = require('../src/ledger').engine(notary, repository, ledger, debug);
+
+        const generateCredentials = async function(signer) {
+            const decoder = bali.decoder(0, debug);
+            const credentials = (await (signer || notary).generateCredentials()).toString();
+            return decoder.base32Encode(Buffer.from(credentials, 'utf8')).replace(/\s+/g, '');
+        };
+
+        const generateDigest = async function(document) {
+            const citation = await notary.citeDocument(document);
+            return citation.getValue('$digest').toString().slice(1, -1).replace(/\s+/g, '');
+        };
+
+        const sendRequest = async function(method, path, document, headers, signer) {
+            const request = {
+                headers: Object.assign({
+                    'nebula-credentials': await generateCredentials(signer),
+                    'accept': 'application/bali'
+                }, headers),
+                httpMethod: method,
+                path: '/ledger/' + path,
+                body: document ? document.toString() : undefined
+            };
+            return await engine.processRequest(request);
+        };
+
+        it('should process requests using the repository conventions', async function() {
+            const payer = bali.tag().getValue();
+            const payee = bali.tag().getValue();
+
+            // create the accounts
+            var response = await sendRequest('POST', 'account/' + payer, bali.catalog({$overdraft: 10}));
+            expect(response.statusCode).to.equal(201);
+            expect(response.headers['content-type']).to.equal('application/bali');
+            expect(response.headers['content-length']).to.equal(response.body.length);
+            expect(response.headers['cache-control']).to.equal('no-store');
+            response = await sendRequest('POST', 'account/' + payee);
+            expect(response.statusCode).to.equal(201);
+            response = await sendRequest('POST', 'account/' + payee);
+            expect(response.statusCode).to.equal(409);
+            response = await sendRequest('HEAD', 'account/' + payee);
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.not.exist;
+
+            // execute a transaction with a digest of its document
+            const identifier = bali.tag().getValue();
+            const transaction = generateTransaction(payer, payee, '5($currency: $USD)');
+            response = await sendRequest('POST', 'transaction/' + identifier, transaction, {
+                'nebula-digest': await generateDigest(transaction)
+            });
+            expect(response.statusCode).to.equal(201);
+            response = await sendRequest('GET', 'transaction/' + identifier);
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['cache-control']).to.equal('private, immutable');
+            expect(transaction.isEqualTo(bali.component(response.body))).is.true;
+            response = await sendRequest('GET', 'account/' + payer);
+            const balance = bali.component(response.body);
+            expect(balance.getValue('$balances').getValue('$USD').getReal()).to.equal(-5);
+
+            // attempt to execute a transaction whose document does not match its digest
+            const altered = generateTransaction(payer, payee, '6($currency: $USD)');
+            response = await sendRequest('POST', 'transaction/' + bali.tag().getValue(), altered, {
+                'nebula-digest': await generateDigest(transaction)
+            });
+            expect(response.statusCode).to.equal(400);
+
+            // attempt to overdraw the account
+            response = await sendRequest('POST', 'transaction/' + bali.tag().getValue(), altered);
+            expect(response.statusCode).to.equal(402);
+            expect(bali.component(response.body).getValue('$status').getReal()).to.equal(402);
+
+            // use the actions on each type of resource
+            response = await sendRequest('GET', 'account/' + payer + '/statement');
+            expect(response.statusCode).to.equal(200);
+            response = await sendRequest('GET', 'ledger/' + payer + '/verify');
+            expect(response.statusCode).to.equal(200);
+            response = await sendRequest('POST', 'transaction/' + identifier + '/reversal');
+            expect(response.statusCode).to.equal(201);
+            response = await sendRequest('POST', 'transaction/' + identifier + '/reversal');
+            expect(response.statusCode).to.equal(409);
+
+            // attempt some invalid requests
+            response = await sendRequest('GET', 'bogus/' + payer);
+            expect(response.statusCode).to.equal(400);
+            response = await sendRequest('DELETE', 'account/' + payer);
+            expect(response.statusCode).to.equal(405);
+            response = await sendRequest('GET', 'account/' + bali.tag().getValue());
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('GET', 'account/' + payer, undefined, {'nebula-credentials': undefined});
+            expect(response.statusCode).to.equal(401);
+            expect(response.headers['www-authenticate']).to.exist;
+        });
+
+        it('should only allow the owner and delegates to access an account', async function() {
+            // create a second principal
+            const stranger = require('bali-digital-notary').test(bali.tag(), directory + 'stranger/', debug);
+            const certificate = await stranger.notarizeDocument(await stranger.generateKey());
+            const citation = await stranger.activateKey(certificate);
+            await repository.writeContract(certificate);
+
+            // create an account owned by the first principal
+            const owned = bali.tag().getValue();
+            const shared = bali.tag().getValue();
+            var response = await sendRequest('POST', 'account/' + owned, bali.catalog({$overdraft: 10}));
+            expect(response.statusCode).to.equal(201);
+            response = await sendRequest('POST', 'account/' + shared, bali.catalog({
+                $overdraft: 10,
+                $delegates: bali.list([citation.getValue('$tag')])
+            }));
+            expect(response.statusCode).to.equal(201);
+
+            // make sure the stranger cannot read or debit the owned account
+            response = await sendRequest('GET', 'account/' + owned, undefined, {}, stranger);
+            expect(response.statusCode).to.equal(403);
+            expect(bali.component(response.body).getValue('$status').getReal()).to.equal(403);
+            response = await sendRequest('GET', 'ledger/' + owned, undefined, {}, stranger);
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('GET', 'account/' + owned + '/statement', undefined, {}, stranger);
+            expect(response.statusCode).to.equal(403);
+            const theft = generateTransaction(owned, shared, '1($currency: $USD)');
+            response = await sendRequest('POST', 'transaction/' + bali.tag().getValue(), theft, {}, stranger);
+            expect(response.statusCode).to.equal(403);
+
+            // make sure the delegate can read and debit the shared account
+            response = await sendRequest('GET', 'account/' + shared, undefined, {}, stranger);
+            expect(response.statusCode).to.equal(200);
+            const payment = generateTransaction(shared, owned, '1($currency: $USD)');
+            const identifier = bali.tag().getValue();
+            response = await sendRequest('POST', 'transaction/' + identifier, payment, {}, stranger);
+            expect(response.statusCode).to.equal(201);
+            response = await sendRequest('GET', 'transaction/' + identifier, undefined, {}, stranger);
+            expect(response.statusCode).to.equal(200);
+
+            // make sure the owner can still do everything
+            response = await sendRequest('POST', 'transaction/' + bali.tag().getValue(), theft);
+            expect(response.statusCode).to.equal(201);
+
+            // make sure nobody may use an account that does not exist
+            const unknown = bali.tag().getValue();
+            response = await sendRequest('POST', 'transaction/' + bali.tag().getValue(), generateTransaction(unknown, owned, '1($currency: $USD)'));
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('HEAD', 'account/' + unknown);
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('GET', 'account/' + unknown + '/statement');
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('GET', 'ledger/' + unknown);
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('GET', 'ledger/' + unknown + '/verify');
+            expect(response.statusCode).to.equal(403);
+
+            // make sure nobody may use an account that was created without an owner
+            const unowned = bali.tag().getValue();
+            await ledger.createAccount(unowned);
+            response = await sendRequest('GET', 'account/' + unowned);
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('POST', 'transaction/' + bali.tag().getValue(), generateTransaction(unowned, owned, '1($currency: $USD)'));
+            expect(response.statusCode).to.equal(403);
+
+            // make sure a new ledger belongs to the principal that posted its first entry
+            const journal = bali.tag().getValue();
+            response = await sendRequest('PUT', 'ledger/' + journal, generateTransaction(owned, shared, '1($currency: $USD)'), {}, stranger);
+            expect(response.statusCode).to.equal(201);
+            response = await sendRequest('PUT', 'ledger/' + journal, generateTransaction(owned, shared, '2($currency: $USD)'));
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('GET', 'ledger/' + journal);
+            expect(response.statusCode).to.equal(403);
+            response = await sendRequest('GET', 'ledger/' + journal, undefined, {}, stranger);
+            expect(response.statusCode).to.equal(200);
+            expect(bali.component(response.body).getValue('$entries').getSize()).to.equal(1);
+
+            // make sure a ledger cannot be taken over by creating an account with its identifier
+            response = await sendRequest('POST', 'account/' + journal);
+            expect(response.statusCode).to.equal(409);
+            response = await sendRequest('PUT', 'ledger/' + owned, generateTransaction(owned, shared, '1($currency: $USD)'), {}, stranger);
+            expect(response.statusCode).to.equal(403);
+            await stranger.forgetKey();
+        });
+
+        it('should reset the notary', async function() {
+            await notary.forgetKey();
+        });
+
+    });
+
+});
@@ -0,0 +1,103 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const bali = require('bali-component-framework').api(debug);
+const helpers = require('./helpers/MemoryRepository');
+const repository = new helpers.MemoryRepository();
+const polling = require('../src/polling').polling(repository, 2, debug);
+
+
+describe('Bali Nebula™ Long Polling', function() {
+
+    // a fake repository handler with a single bag of messages that counts its checks
+    var citation, bag;
+    var checks = 0;
+    const handler = polling.handler(async function(request) {
+        checks++;
+        if (request.queryStringParameters) return {headers: {}, statusCode: 400};
+        return await repository.handler()(request);
+    });
+
+    const sendRequest = async function(method, parameters, path) {
+        return await handler({
+            headers: {},
+            httpMethod: method,
+            path: '/repository/messages/' + (path || bag),
+            queryStringParameters: parameters
+        });
+    };
+
+    describe('Test Long Polling', function() {
+
+        it('should create the bag', async function() {
+            const contract = bali.catalog({$document: bali.instance('/bali/examples/Bag/v1', {})});
+            citation = await repository.writeContract(contract);
+            bag = citation.getValue('$tag').getValue() + '/' + citation.getValue('$version');
+        });
+
+        it('should hold a request until a message arrives', async function() {
+            setTimeout(function() { repository.addMessage(citation, helpers.generateMessage(1)); }, 300);
+            const start = Date.now();
+            const response = await sendRequest('DELETE', {wait: '2'});
+            expect(response.statusCode).to.equal(200);
+            expect(bali.component(response.body).getValue('$count').getReal()).to.equal(1);
+            expect(Date.now() - start).to.be.within(250, 1500);
+        });
+
+        it('should return as soon as a message is available', async function() {
+            await repository.addMessage(citation, helpers.generateMessage(2));
+            checks = 0;
+            const response = await sendRequest('DELETE', {wait: '2'});
+            expect(response.statusCode).to.equal(200);
+            expect(checks).to.equal(1);
+        });
+
+        it('should give up when the wait runs out', async function() {
+            checks = 0;
+            const start = Date.now();
+            var response = await sendRequest('DELETE', {wait: '1'});
+            expect(response.statusCode).to.equal(404);
+            expect(Date.now() - start).to.be.within(950, 1500);
+
+            // the repository is only asked again once a message is available
+            expect(checks).to.equal(1);
+
+            // without a wait the request is not held
+            checks = 0;
+            response = await sendRequest('DELETE');
+            expect(response.statusCode).to.equal(404);
+            expect(checks).to.equal(1);
+        });
+
+        it('should not hold a request for a bag that does not exist', async function() {
+            checks = 0;
+            const start = Date.now();
+            const response = await sendRequest('DELETE', {wait: '2'}, bali.tag().getValue() + '/v1');
+            expect(response.statusCode).to.equal(404);
+            expect(checks).to.equal(1);
+            expect(Date.now() - start).to.be.below(500);
+        });
+
+        it('should reject an invalid wait', async function() {
+            var response = await sendRequest('DELETE', {wait: '3'});
+            expect(response.statusCode).to.equal(400);
+            response = await sendRequest('DELETE', {wait: 'soon'});
+            expect(response.statusCode).to.equal(400);
+            response = await sendRequest('GET', {wait: '1'});
+            expect(response.statusCode).to.equal(400);  // passed on unchanged
+        });
+
+    });
+
+});
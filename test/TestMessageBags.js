@@ -0,0 +1,200 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+
+const helpers = require('./helpers/MemoryRepository');
+const backend = new helpers.MemoryRepository(notary);
+const buckets = require('../src/storage').local(directory, debug);
+const storage = require('../src/bags').bags(notary, backend, buckets, debug);
+
+
+describe('Bali Nebula™ Message Bags', function() {
+
+    const createBag = async function(attributes) {
+        const contract = await notary.notarizeDocument(bali.instance('/bali/examples/Bag/v1', attributes));
+        return await storage.writeContract(contract);
+    };
+
+    const removeCounts = async function(bag) {
+        const counts = [];
+        var message;
+        while ((message = await storage.removeMessage(bag))) {
+            counts.push(message.getValue('$count').getReal());
+        }
+        return counts;
+    };
+
+    describe('Test Message Ordering', function() {
+
+        it('should generate the notary key', async function() {
+            const certificate = await notary.notarizeDocument(await notary.generateKey());
+            await notary.activateKey(certificate);
+        });
+
+        it('should remove the messages in a FIFO bag in the order they were added', async function() {
+            const bag = await createBag({$ordering: '$fifo'});
+            for (var count = 1; count <= 5; count++) {
+                await storage.addMessage(bag, helpers.generateMessage(count));
+            }
+            expect(await storage.messageCount(bag)).to.equal(5);
+            expect(await storage.messageAvailable(bag)).is.true;
+            const message = await storage.removeMessage(bag);
+            expect(message.getValue('$count').getReal()).to.equal(1);
+
+            // a returned message keeps its place in the bag
+            await storage.returnMessage(bag, message);
+            expect(await removeCounts(bag)).to.eql([1, 2, 3, 4, 5]);
+            expect(await storage.messageAvailable(bag)).is.false;
+        });
+
+        it('should remove the messages in a priority bag by priority', async function() {
+            const bag = await createBag({$ordering: '$priority'});
+            await storage.addMessage(bag, helpers.generateMessage(1, {$priority: 1}));
+            await storage.addMessage(bag, helpers.generateMessage(2));
+            await storage.addMessage(bag, helpers.generateMessage(3, {$priority: 5}));
+            await storage.addMessage(bag, helpers.generateMessage(4, {$priority: 1}));
+            expect(await removeCounts(bag)).to.eql([3, 1, 4, 2]);
+        });
+
+        it('should delete a message that is being processed', async function() {
+            const bag = await createBag({$ordering: '$fifo'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            const message = await storage.removeMessage(bag);
+            const citation = await notary.citeDocument(message);
+            expect(message.isEqualTo(await storage.deleteMessage(bag, citation))).is.true;
+            expect(await storage.deleteMessage(bag, citation)).to.not.exist;
+            expect(await storage.messageCount(bag)).to.equal(0);
+        });
+
+        it('should give a message to only one of several concurrent consumers', async function() {
+            const bag = await createBag({$ordering: '$fifo'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            const messages = await Promise.all([1, 2, 3].map(function() {
+                return storage.removeMessage(bag);
+            }));
+            expect(messages.filter(function(message) { return message; })).to.have.lengthOf(1);
+            expect(await storage.messageCount(bag)).to.equal(0);
+        });
+
+        it('should leave the random bags to the storage mechanism', async function() {
+            const bag = await createBag({$description: 'A random bag.'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            await storage.addMessage(bag, helpers.generateMessage(2));
+            expect(await backend.messageCount(bag)).to.equal(2);
+            expect(await removeCounts(bag)).to.have.members([1, 2]);
+        });
+
+        it('should page through the available messages that are already claimed', async function() {
+            const bag = await createBag({$ordering: '$fifo'});
+            for (var count = 1; count <= 12; count++) {
+                await storage.addMessage(bag, helpers.generateMessage(count));
+            }
+            // leave the first page of messages available although they are being processed
+            const prefix = bag.getValue('$tag').getValue() + '/' + bag.getValue('$version') + '/';
+            const identifiers = await buckets.listComponents('queues', prefix + 'available/');
+            for (var i = 0; i < 11; i++) {
+                const message = await buckets.readComponent('queues', identifiers[i]);
+                const citation = await notary.citeDocument(message);
+                await buckets.writeComponent('queues', prefix + 'processing/' + citation.getValue('$tag').getValue() + '/' + citation.getValue('$version') + '.bali', bali.catalog({
+                    $order: bali.text(identifiers[i].slice(identifiers[i].lastIndexOf('/') + 1).split('-')[0]),
+                    $claimed: bali.moment(),
+                    $message: message
+                }));
+            }
+            expect(await removeCounts(bag)).to.eql([12]);
+            expect(await storage.messageCount(bag)).to.equal(11);
+        });
+
+        it('should recover the messages whose claim or return was interrupted', async function() {
+            const bag = await createBag({$ordering: '$fifo'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            await storage.addMessage(bag, helpers.generateMessage(2));
+            const prefix = bag.getValue('$tag').getValue() + '/' + bag.getValue('$version') + '/';
+            const identifiers = await buckets.listComponents('queues', prefix + 'available/');
+            const processing = [];
+            for (var i = 0; i < 2; i++) {
+                const message = await buckets.readComponent('queues', identifiers[i]);
+                const citation = await notary.citeDocument(message);
+                processing.push(prefix + 'processing/' + citation.getValue('$tag').getValue() + '/' + citation.getValue('$version') + '.bali');
+                await buckets.writeComponent('queues', processing[i], bali.catalog({
+                    $order: bali.text(identifiers[i].slice(identifiers[i].lastIndexOf('/') + 1).split('-')[0]),
+                    $claimed: bali.moment.earlier(bali.moment(), bali.component('~PT5M')),
+                    $message: message
+                }));
+            }
+
+            // the first consumer crashed before deleting its claimed message from the bag
+            // and the second one crashed after putting its message back in the bag
+            const record = await buckets.readComponent('queues', processing[1]);
+            record.setValue('$returned', bali.moment.earlier(bali.moment(), bali.component('~PT5M')));
+            await buckets.writeComponent('queues', processing[1], record);
+            expect(await removeCounts(bag)).to.eql([2]);
+            expect(await storage.messageCount(bag)).to.equal(0);
+        });
+
+    });
+
+    describe('Test Bag Capacity', function() {
+
+        it('should reject a message for a full bag', async function() {
+            const bag = await createBag({$capacity: 2, $ordering: '$fifo'});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            await storage.addMessage(bag, helpers.generateMessage(2));
+            try {
+                await storage.addMessage(bag, helpers.generateMessage(3));
+                expect.fail('A message was added to a full bag.');
+            } catch (exception) {
+                expect(exception.getAttributes().getValue('$exception').toString()).to.equal('$bagFull');
+            }
+
+            // the repository reports the exception as a generic failure which the handler rejects
+            const handler = storage.handler(async function(request) {
+                try {
+                    await storage.addMessage(bag, bali.component(request.body));
+                    return {headers: {}, statusCode: 201};
+                } catch (exception) {
+                    return {headers: {}, statusCode: 400};
+                }
+            });
+            const path = '/repository/messages/' + bag.getValue('$tag').getValue() + '/' + bag.getValue('$version');
+            var response = await handler({headers: {}, httpMethod: 'POST', path: path, body: helpers.generateMessage(3).toString()});
+            expect(response.statusCode).to.equal(409);
+            expect(bali.component(response.body).getValue('$status').getReal()).to.equal(409);
+            await storage.removeMessage(bag);
+            response = await handler({headers: {}, httpMethod: 'POST', path: path, body: helpers.generateMessage(3).toString()});
+            expect(response.statusCode).to.equal(201);
+        });
+
+        it('should not exceed the capacity of a bag with concurrent producers', async function() {
+            const bag = await createBag({$capacity: 2});
+            await storage.addMessage(bag, helpers.generateMessage(1));
+            const results = await Promise.allSettled([2, 3, 4].map(function(count) {
+                return storage.addMessage(bag, helpers.generateMessage(count));
+            }));
+            const added = results.filter(function(result) { return result.status === 'fulfilled'; });
+            expect(added.length).to.be.at.most(1);
+            expect(await storage.messageCount(bag)).to.equal(1 + added.length);
+        });
+
+        it('should erase all keys properly', async function() {
+            await notary.forgetKey();
+        });
+
+    });
+
+});
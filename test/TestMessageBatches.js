@@ -0,0 +1,151 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const bali = require('bali-component-framework').api(debug);
+const helpers = require('./helpers/MemoryRepository');
+const batches = require('../src/batches').batches(debug);
+
+
+describe('Bali Nebula™ Message Batches', function() {
+
+    // a fake repository handler that only accepts valid credentials
+    const repository = new helpers.MemoryRepository();
+    const requests = [];
+    const handler = batches.handler(async function(request) {
+        requests.push(request);
+        if (request.headers['nebula-credentials'] !== 'valid') {
+            return {headers: {}, statusCode: 401, body: '[$status: 401, $text: "Not Authenticated"]'};
+        }
+        return await repository.handler()(request);
+    });
+
+    // each test fills a new bag with messages
+    var bag;
+    const fillBag = async function(counts) {
+        const citation = bali.catalog({$tag: bali.tag(), $version: 'v1'});
+        bag = citation.getValue('$tag').getValue() + '/v1';
+        for (var i = 0; i < counts.length; i++) {
+            await repository.addMessage(citation, helpers.generateMessage(counts[i]));
+        }
+    };
+
+    const citeMessage = function(message) {
+        return bali.catalog({
+            $tag: message.getParameter('$tag'),
+            $version: message.getParameter('$version')
+        });
+    };
+
+    const sendRequest = async function(method, path, parameters, body, credentials) {
+        return await handler({
+            headers: {'nebula-credentials': credentials || 'valid'},
+            httpMethod: method,
+            path: '/repository/messages/' + path,
+            queryStringParameters: parameters,
+            body: body
+        });
+    };
+
+    describe('Test Batch Receive', function() {
+
+        it('should remove up to N messages at once', async function() {
+            await fillBag([1, 2, 3, 4, 5]);
+            var response = await sendRequest('DELETE', bag, {count: '3'});
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.equal('application/bali');
+            var messages = bali.component(response.body);
+            expect(messages.getSize()).to.equal(3);
+            expect(messages.getItem(1).getValue('$count').getReal()).to.equal(1);
+            expect(messages.getItem(3).getValue('$count').getReal()).to.equal(3);
+
+            // only the remaining messages are returned
+            response = await sendRequest('DELETE', bag, {count: '10'});
+            messages = bali.component(response.body);
+            expect(messages.getSize()).to.equal(2);
+            response = await sendRequest('DELETE', bag, {count: '10'});
+            expect(response.statusCode).to.equal(200);
+            expect(bali.component(response.body).getSize()).to.equal(0);
+        });
+
+        it('should reject invalid batches', async function() {
+            var response = await sendRequest('DELETE', bag, {count: '0'});
+            expect(response.statusCode).to.equal(400);
+            response = await sendRequest('DELETE', bag, {count: '1000'});
+            expect(response.statusCode).to.equal(400);
+            response = await sendRequest('DELETE', bag, {count: '5'}, undefined, 'invalid');
+            expect(response.statusCode).to.equal(401);
+        });
+
+    });
+
+    describe('Test Batch Delete', function() {
+
+        it('should delete a list of messages and report each result', async function() {
+            await fillBag([1, 2, 3]);
+            const messages = bali.component((await sendRequest('DELETE', bag, {count: '2'})).body);
+            const citations = bali.list([
+                citeMessage(messages.getItem(1)),
+                citeMessage(messages.getItem(2))
+            ]);
+            requests.length = 0;
+            var response = await sendRequest('DELETE', bag, undefined, citations.toString());
+            expect(response.statusCode).to.equal(200);
+            expect(requests.length).to.equal(2);
+            expect(requests[0].path).to.equal('/repository/messages/' + bag + '/' + messages.getItem(1).getParameter('$tag').getValue() + '/v1');
+            expect(requests[0].headers['nebula-credentials']).to.equal('valid');
+            expect(requests[0].headers['nebula-subdigest']).to.not.exist;
+            var results = bali.component(response.body);
+            expect(results.getSize()).to.equal(2);
+            expect(results.getItem(1).getValue('$status').getReal()).to.equal(200);
+            expect(results.getItem(1).getValue('$message').isEqualTo(messages.getItem(1))).is.true;
+
+            // a partial failure is reported for each item
+            citations.addItem(bali.text('bogus'));
+            response = await sendRequest('DELETE', bag, undefined, citations.toString());
+            expect(response.statusCode).to.equal(207);
+            results = bali.component(response.body);
+            expect(results.getSize()).to.equal(3);
+            expect(results.getItem(1).getValue('$status').getReal()).to.equal(404);
+            expect(results.getItem(1).getValue('$text').getValue()).to.equal('Not Found');
+            expect(results.getItem(3).getValue('$status').getReal()).to.equal(400);
+        });
+
+        it('should pass the digest of each citation on with its message', async function() {
+            await fillBag([1]);
+            const message = bali.component((await sendRequest('DELETE', bag, {count: '1'})).body);
+            const citation = citeMessage(message);
+            citation.setValue('$digest', "'AB12CD34'");
+            requests.length = 0;
+            const response = await handler({
+                headers: {'nebula-credentials': 'valid', 'nebula-digest': 'BAGDIGEST', 'nebula-subdigest': 'OTHER'},
+                httpMethod: 'DELETE',
+                path: '/repository/messages/' + bag,
+                body: bali.list([citation]).toString()
+            });
+            expect(response.statusCode).to.equal(200);
+            expect(requests[0].headers['nebula-digest']).to.equal('BAGDIGEST');
+            expect(requests[0].headers['nebula-subdigest']).to.equal('AB12CD34');
+        });
+
+        it('should pass the single message requests through', async function() {
+            await fillBag([1]);
+            const response = await sendRequest('DELETE', bag);
+            expect(response.statusCode).to.equal(200);
+            expect(bali.component(response.body).getValue('$count').getReal()).to.equal(1);
+            expect((await sendRequest('GET', bag)).body).to.equal('"passed"');
+        });
+
+    });
+
+});
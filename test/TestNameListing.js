@@ -0,0 +1,198 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+const buckets = require('../src/storage').local(directory, debug);
+const helpers = require('./helpers/MemoryRepository');
+
+// the repository keeps its names in the names bucket and hides those that are withheld
+const withheld = [];
+const repository = new helpers.MemoryRepository(notary);
+repository.readName = async function(name) {
+    if (withheld.includes(name.toString())) return;
+    return await buckets.readComponent('names', name.toString().slice(1) + '.bali');
+};
+repository.writeName = async function(name, citation) {
+    await buckets.writeComponent('names', name.toString().slice(1) + '.bali', citation);
+    return citation;
+};
+const names = require('../src/names').listing(notary, repository, buckets, debug);
+
+
+describe('Bali Nebula™ Name Listing', function() {
+
+    const namespace = '/bali/examples/' + bali.tag().getValue() + '/';
+    const rejected = [];  // the credentials that the repository rejects
+    const handler = names.handler(async function(request) {
+        if (rejected.includes(request.headers['nebula-credentials'])) {
+            return {headers: {'www-authenticate': 'Nebula-Credentials'}, statusCode: 401};
+        }
+        return {headers: {}, statusCode: 200, body: '"passed"'};
+    });
+
+    const sendRequest = async function(method, path, parameters, credentials) {
+        return await handler({
+            headers: {'nebula-credentials': credentials},
+            httpMethod: method,
+            path: '/repository/names' + path,
+            queryStringParameters: parameters
+        });
+    };
+
+    const listNames = function(response) {
+        const names = [];
+        const iterator = bali.component(response.body).getValue('$names').getIterator();
+        while (iterator.hasNext()) {
+            names.push(iterator.getNext().getValue('$name').toString());
+        }
+        return names;
+    };
+
+    describe('Test Name Listing', function() {
+
+        it('should store some names', async function() {
+            const paths = ['alpha/v1', 'alpha/v2', 'beta/v1', 'beta/gamma/v1', 'delta/v1'];
+            for (var i = 0; i < paths.length; i++) {
+                const citation = bali.catalog({
+                    $tag: bali.tag(),
+                    $version: 'v1'
+                });
+                await names.writeName(bali.component(namespace + paths[i]), citation);
+            }
+        });
+
+        it('should list the names under a prefix in order', async function() {
+            var response = await sendRequest('GET', namespace);
+            expect(response.statusCode).to.equal(200);
+            expect(listNames(response)).to.eql([
+                namespace + 'alpha/v1',
+                namespace + 'alpha/v2',
+                namespace + 'beta/gamma/v1',
+                namespace + 'beta/v1',
+                namespace + 'delta/v1'
+            ]);
+            const listing = bali.component(response.body);
+            expect(listing.getValue('$prefix').getValue()).to.equal(namespace);
+            expect(listing.getValue('$names').getItem(1).getValue('$citation').getValue('$version').toString()).to.equal('v1');
+            expect(listing.getValue('$next').isEqualTo(bali.pattern.NONE)).is.true;
+
+            response = await sendRequest('GET', namespace + 'beta/');
+            expect(listNames(response)).to.eql([namespace + 'beta/gamma/v1', namespace + 'beta/v1']);
+            response = await sendRequest('HEAD', namespace + 'beta/');
+            expect(response.statusCode).to.equal(200);
+            expect(response.body).to.not.exist;
+        });
+
+        it('should list the names a page at a time', async function() {
+            var response = await sendRequest('GET', namespace, {limit: '2'});
+            expect(listNames(response)).to.eql([namespace + 'alpha/v1', namespace + 'alpha/v2']);
+            var next = bali.component(response.body).getValue('$next').toString();
+            response = await sendRequest('GET', namespace, {limit: '2', after: next});
+            expect(listNames(response)).to.eql([namespace + 'beta/gamma/v1', namespace + 'beta/v1']);
+            next = bali.component(response.body).getValue('$next').toString();
+            response = await sendRequest('GET', namespace, {limit: '2', after: next});
+            expect(listNames(response)).to.eql([namespace + 'delta/v1']);
+            expect(bali.component(response.body).getValue('$next').isEqualTo(bali.pattern.NONE)).is.true;
+        });
+
+        it('should resolve the latest version of a name', async function() {
+            const versions = ['v1', 'v2', 'v2.1', 'v10', 'v2.1.3'];
+            const citations = {};
+            for (var i = 0; i < versions.length; i++) {
+                citations[versions[i]] = bali.catalog({
+                    $tag: bali.tag(),
+                    $version: versions[i]
+                });
+                await names.writeName(bali.component(namespace + 'epsilon/' + versions[i]), citations[versions[i]]);
+            }
+            var response = await sendRequest('GET', namespace + 'epsilon');
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-location']).to.equal('/repository/names' + namespace + 'epsilon/v10');
+            expect(bali.component(response.body).isEqualTo(citations.v10)).is.true;
+            response = await sendRequest('GET', namespace + 'epsilon/v*');
+            expect(response.headers['content-location']).to.equal('/repository/names' + namespace + 'epsilon/v10');
+            response = await sendRequest('HEAD', namespace + 'epsilon/v2.*');
+            expect(response.headers['content-location']).to.equal('/repository/names' + namespace + 'epsilon/v2.1.3');
+            expect(response.body).to.not.exist;
+
+            // the exact names and the names without any versions are passed on
+            expect((await sendRequest('GET', namespace + 'epsilon/v2')).body).to.equal('"passed"');
+            expect((await sendRequest('GET', namespace + 'zeta')).body).to.equal('"passed"');
+            expect((await sendRequest('GET', namespace + 'zeta/v*')).statusCode).to.equal(404);
+        });
+
+        it('should return the version history of a name', async function() {
+            var response = await sendRequest('GET', namespace + 'epsilon/v*', {history: ''});
+            expect(response.statusCode).to.equal(200);
+            const history = bali.component(response.body);
+            expect(history.getValue('$name').toString()).to.equal(namespace + 'epsilon');
+            const versions = [];
+            const iterator = history.getValue('$versions').getIterator();
+            while (iterator.hasNext()) {
+                const item = iterator.getNext();
+                expect(item.getValue('$citation').getValue('$version').isEqualTo(item.getValue('$version'))).is.true;
+                versions.push(item.getValue('$version').toString());
+            }
+            expect(versions).to.eql(['v1', 'v2', 'v2.1', 'v2.1.3', 'v10']);
+            response = await sendRequest('GET', namespace + 'epsilon/v2.*', {history: ''});
+            expect(bali.component(response.body).getValue('$versions').getSize()).to.equal(3);
+        });
+
+        it('should read the citations through the repository', async function() {
+            withheld.push(namespace + 'beta/v1', namespace + 'epsilon/v10');
+            var response = await sendRequest('GET', namespace + 'beta/');
+            expect(listNames(response)).to.eql([namespace + 'beta/gamma/v1']);
+            response = await sendRequest('GET', namespace + 'epsilon');
+            expect(response.statusCode).to.equal(404);
+            response = await sendRequest('GET', namespace + 'epsilon/v*', {history: ''});
+            expect(bali.component(response.body).getValue('$versions').getSize()).to.equal(4);
+            withheld.length = 0;
+        });
+
+        it('should authorize the listings like a name read', async function() {
+            const certificate = await notary.notarizeDocument(await notary.generateKey());
+            await notary.activateKey(certificate);
+            await repository.writeContract(certificate);
+            const credentials = await helpers.generateCredentials(notary);
+            expect((await sendRequest('GET', namespace, undefined, credentials)).statusCode).to.equal(200);
+            expect((await sendRequest('GET', namespace + 'epsilon', undefined, credentials)).statusCode).to.equal(200);
+
+            // the repository rejects invalid credentials
+            const forged = credentials.slice(0, -8) + 'ABCDEFGH';
+            rejected.push(forged);
+            var response = await sendRequest('GET', namespace, undefined, forged);
+            expect(response.statusCode).to.equal(401);
+            expect(response.headers['www-authenticate']).to.exist;
+            response = await sendRequest('HEAD', namespace + 'epsilon', undefined, forged);
+            expect(response.statusCode).to.equal(401);
+            response = await sendRequest('GET', namespace + 'epsilon/v*', {history: ''}, 'bogus');
+            expect(response.statusCode).to.equal(401);
+            rejected.length = 0;
+            await notary.forgetKey();
+        });
+
+        it('should reject invalid listings and pass other requests on', async function() {
+            expect((await sendRequest('GET', namespace + '../')).statusCode).to.equal(400);
+            expect((await sendRequest('GET', namespace, {limit: '0'})).statusCode).to.equal(400);
+            expect((await sendRequest('GET', namespace, {after: 'alpha'})).statusCode).to.equal(400);
+            expect((await sendRequest('GET', namespace + 'alpha/v1')).body).to.equal('"passed"');
+            expect((await sendRequest('PUT', namespace)).body).to.equal('"passed"');
+        });
+
+    });
+
+});
@@ -0,0 +1,185 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+const quotas = require('../src/quotas');
+
+const helpers = require('./helpers/MemoryRepository');
+const repository = new helpers.MemoryRepository(notary);
+
+
+describe('Bali Nebula™ Quota Enforcer', function() {
+
+    const handler = repository.handler();
+    const draft = bali.tag().getValue();
+
+    var credentials;
+    const sendRequest = async function(enforcer, method, path, body, headers) {
+        return await enforcer.handler(handler)({
+            headers: Object.assign({'nebula-credentials': credentials}, headers),
+            httpMethod: method,
+            path: '/repository/' + path,
+            body: body
+        });
+    };
+
+    const expectRejection = function(response, retry) {
+        expect(response.statusCode).to.equal(429);
+        expect(response.headers['retry-after']).to.equal(String(retry));
+        expect(bali.component(response.body).getValue('$status').getReal()).to.equal(429);
+    };
+
+    describe('Test Limits', function() {
+
+        it('should generate the credentials of the caller', async function() {
+            const certificate = await notary.notarizeDocument(await notary.generateKey());
+            await notary.activateKey(certificate);
+            await repository.writeContract(certificate);
+            credentials = await helpers.generateCredentials(notary);
+        });
+
+        it('should limit the rate of write requests', async function() {
+            const enforcer = quotas.enforcer(notary, repository, quotas.memory(), {requestRate: 3}, debug);
+            while (Date.now() % 1000 > 500) await helpers.pause(50);
+            for (var i = 0; i < 3; i++) {
+                const response = await sendRequest(enforcer, 'PUT', 'names/bali/examples/v' + i, '"citation"');
+                expect(response.statusCode).to.equal(201);
+            }
+            expectRejection(await sendRequest(enforcer, 'PUT', 'names/bali/examples/v4', '"citation"'), 1);
+
+            // reads and unauthenticated requests are not limited
+            expect((await sendRequest(enforcer, 'GET', 'names/bali/examples/v1')).statusCode).to.equal(200);
+            expect((await sendRequest(enforcer, 'PUT', 'names/bali/examples/v5', '"citation"', {'nebula-credentials': undefined})).statusCode).to.equal(201);
+
+            // the limit is reset in the next window
+            await helpers.pause(1000);
+            expect((await sendRequest(enforcer, 'PUT', 'names/bali/examples/v6', '"citation"')).statusCode).to.equal(201);
+        });
+
+        it('should limit the size of documents and messages', async function() {
+            const enforcer = quotas.enforcer(notary, repository, quotas.memory(), {documentSize: 10}, debug);
+            expect((await sendRequest(enforcer, 'PUT', 'documents/ABCD/v1', '[$x: 1]')).statusCode).to.equal(201);
+            expectRejection(await sendRequest(enforcer, 'PUT', 'documents/ABCD/v2', '[$x: 1, $y: 2]'), 86400);
+            expectRejection(await sendRequest(enforcer, 'PUT', 'contracts/ABCD/v2', '[$x: 1, $y: 2]'), 86400);
+            expectRejection(await sendRequest(enforcer, 'POST', 'messages/EFGH/v1', '[$x: 1, $y: 2]'), 86400);
+        });
+
+        it('should limit the number of messages in each bag', async function() {
+            const enforcer = quotas.enforcer(notary, repository, quotas.memory(), {messagesPerBag: 2}, debug);
+            const bag = bali.catalog({$tag: bali.tag(), $version: 'v1'});
+            const path = 'messages/' + bag.getValue('$tag').getValue() + '/v1';
+            await repository.addMessage(bag, helpers.generateMessage(1));
+            expect((await sendRequest(enforcer, 'POST', path, helpers.generateMessage(2).toString())).statusCode).to.equal(201);
+            expectRejection(await sendRequest(enforcer, 'POST', path, helpers.generateMessage(3).toString()), 60);
+            expect((await sendRequest(enforcer, 'POST', 'messages/' + bali.tag().getValue() + '/v1', '[$x: 1]')).statusCode).to.equal(201);
+        });
+
+        it('should limit the total bytes stored by each account', async function() {
+            // the documents are charged for their size of 14 bytes
+            const counters = quotas.memory();
+            const enforcer = quotas.enforcer(notary, repository, counters, {storedBytes: 20}, debug);
+            const identifier = account.getValue();
+            expect((await sendRequest(enforcer, 'PUT', 'documents/' + draft + '/v1', '[$x: 1, $y: 2]')).statusCode).to.equal(201);
+            expect((await counters.readUsage(identifier)).stored).to.equal(14);
+            expect((await counters.readUsage(identifier)).drafts[draft + '/v1']).to.equal(14);
+            expectRejection(await sendRequest(enforcer, 'PUT', 'documents/' + draft + '/v2', '[$x: 1, $y: 2]'), 86400);
+
+            // deleting a document frees its bytes
+            expect((await sendRequest(enforcer, 'DELETE', 'documents/' + draft + '/v1')).statusCode).to.equal(200);
+            expect((await counters.readUsage(identifier)).stored).to.equal(0);
+            expect((await sendRequest(enforcer, 'PUT', 'documents/' + draft + '/v2', '[$x: 1, $y: 2]')).statusCode).to.equal(201);
+            expect((await sendRequest(enforcer, 'DELETE', 'documents/' + draft + '/v2')).statusCode).to.equal(200);
+        });
+
+        it('should only charge the changes to a draft that is saved again', async function() {
+            const counters = quotas.memory();
+            const enforcer = quotas.enforcer(notary, repository, counters, {storedBytes: 25}, debug);
+            const identifier = account.getValue();
+            for (var i = 0; i < 5; i++) {
+                expect((await sendRequest(enforcer, 'PUT', 'documents/' + draft + '/v3', '[$x: 1, $y: 2]')).statusCode).to.equal(201);
+            }
+            expect((await counters.readUsage(identifier)).stored).to.equal(14);
+
+            // a larger draft is charged the difference and a smaller one is credited it
+            expect((await sendRequest(enforcer, 'PUT', 'documents/' + draft + '/v3', '[$x: 1, $y: 2, $z: 3]')).statusCode).to.equal(201);
+            expect((await counters.readUsage(identifier)).stored).to.equal(21);
+            expect((await sendRequest(enforcer, 'PUT', 'documents/' + draft + '/v3', '[$x: 1]')).statusCode).to.equal(201);
+            expect((await counters.readUsage(identifier)).stored).to.equal(7);
+            expect((await sendRequest(enforcer, 'DELETE', 'documents/' + draft + '/v3')).statusCode).to.equal(200);
+            expect((await counters.readUsage(identifier)).stored).to.equal(0);
+            expect((await sendRequest(enforcer, 'DELETE', 'documents/' + draft + '/v3')).statusCode).to.equal(404);
+            expect((await counters.readUsage(identifier)).stored).to.equal(0);
+        });
+
+        it('should release the usage of requests that are not authenticated', async function() {
+            const counters = quotas.memory();
+            const enforcer = quotas.enforcer(notary, repository, counters, {requestRate: 1, storedBytes: 20}, debug);
+            const identifier = account.getValue();
+            const unauthenticated = enforcer.handler(async function(request) {
+                return {headers: {}, statusCode: 401, body: '[$status: 401, $text: "Invalid Credentials"]'};
+            });
+
+            // the repository rejects credentials whose signature is invalid
+            while (Date.now() % 1000 > 500) await helpers.pause(50);
+            const response = await unauthenticated({
+                headers: {'nebula-credentials': credentials},
+                httpMethod: 'PUT',
+                path: '/repository/documents/' + draft + '/v6',
+                body: '[$x: 1, $y: 2]'
+            });
+            expect(response.statusCode).to.equal(401);
+            const usage = await counters.readUsage(identifier);
+            expect(usage.requests).to.equal(0);
+            expect(usage.stored).to.equal(0);
+            expect(usage.drafts[draft + '/v6']).to.not.exist;
+            expect((await sendRequest(enforcer, 'PUT', 'documents/' + draft + '/v6', '[$x: 1, $y: 2]')).statusCode).to.equal(201);
+            expect((await sendRequest(enforcer, 'DELETE', 'documents/' + draft + '/v6')).statusCode).to.equal(429);
+        });
+
+        it('should reject invalid limits', function() {
+            assert.throws(function() {
+                quotas.enforcer(notary, repository, quotas.memory(), {requestRate: -1});
+            });
+            assert.throws(function() {
+                quotas.enforcer(notary, repository, quotas.memory(), {storedBytes: 'lots'});
+            });
+        });
+
+    });
+
+    describe('Test Persistent Counters', function() {
+
+        it('should share the usage between enforcers', async function() {
+            const buckets = require('../src/storage').local(directory, debug);
+            const first = quotas.enforcer(notary, repository, quotas.buckets(buckets, debug), {storedBytes: 20}, debug);
+            const second = quotas.enforcer(notary, repository, quotas.buckets(buckets, debug), {storedBytes: 20}, debug);
+            expect((await sendRequest(first, 'PUT', 'documents/' + draft + '/v4', '[$x: 1, $y: 2]')).statusCode).to.equal(201);
+            expectRejection(await sendRequest(second, 'PUT', 'documents/' + draft + '/v5', '[$x: 1, $y: 2]'), 86400);
+            const usage = await quotas.buckets(buckets, debug).readUsage(account.getValue());
+            expect(usage.stored).to.equal(14);
+            expect(usage.drafts[draft + '/v4']).to.equal(14);
+            expect(usage.requests).to.be.at.least(1);
+        });
+
+        it('should erase all keys properly', async function() {
+            await notary.forgetKey();
+        });
+
+    });
+
+});
@@ -0,0 +1,125 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 1;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const assert = require('assert');
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+const logging = require('../src/logging');
+
+// capture the log lines instead of writing them to the console
+const lines = [];
+const output = function(line) {
+    lines.push(JSON.parse(line));
+};
+const logger = logging.logger('ledger', 'info', output, debug);
+
+
+describe('Bali Nebula™ Request Logger', function() {
+
+    const handler = logger.handler(async function(request) {
+        await new Promise(function(resolve) { setTimeout(resolve, 5); });
+        if (request.path.endsWith('/broken')) throw Error('The engine failed.');
+        if (request.path.endsWith('/poor')) {
+            logging.recordFailure(bali.exception({
+                $module: '/bali/ledger/Ledger',
+                $procedure: '$executeTransaction',
+                $exception: '$insufficientFunds',
+                $text: 'The debited account has insufficient funds.'
+            }));
+            return {headers: {}, statusCode: 402, body: undefined};
+        }
+        return {headers: {'content-type': 'application/bali'}, statusCode: 200, body: '"ok"'};
+    });
+
+    describe('Test Request Logging', function() {
+
+        it('should log one line for each request', async function() {
+            const certificate = await notary.notarizeDocument(await notary.generateKey());
+            await notary.activateKey(certificate);
+            const credentials = await notary.generateCredentials();
+            const encoded = bali.decoder(0, debug).base32Encode(Buffer.from(credentials.toString(), 'utf8')).replace(/\s+/g, '');
+
+            var response = await handler({
+                httpMethod: 'get',
+                path: '/ledger/account/ABCD',
+                headers: {'nebula-credentials': encoded, 'x-correlation-id': 'request-1'}
+            });
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['x-correlation-id']).to.equal('request-1');
+            expect(lines.length).to.equal(1);
+            var line = lines.pop();
+            expect(line.level).to.equal('info');
+            expect(line.service).to.equal('ledger');
+            expect(line.correlationId).to.equal('request-1');
+            expect(line.method).to.equal('GET');
+            expect(line.path).to.equal('/ledger/account/ABCD');
+            expect(line.type).to.equal('account');
+            expect(line.account).to.equal(account.toString());
+            expect(line.status).to.equal(200);
+            expect(line.latency).to.be.at.least(4);
+            expect(line.module).to.not.exist;
+
+            // a correlation identifier is generated when none is passed in
+            response = await handler({httpMethod: 'GET', path: '/ledger/transaction/EFGH', headers: {}});
+            line = lines.pop();
+            expect(line.correlationId).to.exist;
+            expect(response.headers['x-correlation-id']).to.equal(line.correlationId);
+            expect(line.account).to.not.exist;
+        });
+
+        it('should log the cause of each failure', async function() {
+            var response = await handler({httpMethod: 'POST', path: '/ledger/transaction/poor'});
+            expect(response.statusCode).to.equal(402);
+            var line = lines.pop();
+            expect(line.level).to.equal('warn');
+            expect(line.module).to.equal('/bali/ledger/Ledger');
+            expect(line.procedure).to.equal('$executeTransaction');
+            expect(line.exception).to.equal('$insufficientFunds');
+
+            response = await handler({httpMethod: 'GET', path: '/ledger/account/broken'});
+            expect(response.statusCode).to.equal(503);
+            expect(response.body).to.include('$status: 503');
+            line = lines.pop();
+            expect(line.level).to.equal('error');
+            expect(line.exception).to.equal('The engine failed.');
+        });
+
+        it('should change the log level at runtime', async function() {
+            logger.setLevel('warn');
+            expect(logger.getLevel()).to.equal('warn');
+            await handler({httpMethod: 'GET', path: '/ledger/account/ABCD'});
+            expect(lines.length).to.equal(0);
+            await handler({httpMethod: 'POST', path: '/ledger/transaction/poor'});
+            expect(lines.length).to.equal(1);
+            lines.pop();
+
+            logger.setLevel('debug');
+            await handler({httpMethod: 'GET', path: '/ledger/account/ABCD', queryStringParameters: {$limit: '5'}});
+            expect(lines.pop().query).to.deep.equal({$limit: '5'});
+
+            assert.throws(function() {
+                logger.setLevel('verbose');
+            });
+            expect(logger.getLevel()).to.equal('debug');
+        });
+
+        it('should erase all keys properly', async function() {
+            await notary.forgetKey();
+        });
+
+    });
+
+});
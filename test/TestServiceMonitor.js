@@ -0,0 +1,114 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+const debug = 0;  // [0..3]
+const mocha = require('mocha');
+const chai = require('chai');
+const expect = chai.expect;
+const bali = require('bali-component-framework').api(debug);
+const account = bali.tag();
+const directory = 'test/config/';
+const notary = require('bali-digital-notary').test(account, directory, debug);
+
+// the storage check can be made to fail
+var reachable = true;
+const monitor = require('../src/monitoring').monitor('ledger', notary, {
+    storage: async function() {
+        if (!reachable) throw Error('The buckets cannot be reached.');
+    }
+}, debug);
+
+
+describe('Bali Nebula™ Service Monitor', function() {
+
+    const handler = monitor.handler(async function(request) {
+        if (request.path.endsWith('/broken')) throw Error('The engine failed.');
+        return {headers: {}, statusCode: request.httpMethod === 'POST' ? 201 : 200, body: '"ok"'};
+    });
+
+    describe('Test Health Route', function() {
+
+        it('should report a healthy service without credentials', async function() {
+            const response = await handler({httpMethod: 'GET', path: '/health'});
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.equal('application/bali');
+            expect(response.headers['cache-control']).to.equal('no-store');
+            const health = bali.component(response.body);
+            expect(health.getValue('$service').getValue()).to.equal('ledger');
+            expect(health.getValue('$version').getValue()).to.equal(require('../package.json').version);
+            expect(health.getValue('$status').toString()).to.equal('$healthy');
+            expect(health.getValue('$checks').getValue('$notary').toString()).to.equal('$healthy');
+            expect(health.getValue('$checks').getValue('$storage').toString()).to.equal('$healthy');
+        });
+
+        it('should report an unreachable backend', async function() {
+            reachable = false;
+            const response = await handler({httpMethod: 'GET', path: '/ledger/health'});
+            reachable = true;
+            expect(response.statusCode).to.equal(503);
+            const health = bali.component(response.body);
+            expect(health.getValue('$status').toString()).to.equal('$unhealthy');
+            expect(health.getValue('$checks').getValue('$notary').toString()).to.equal('$healthy');
+            expect(health.getValue('$checks').getValue('$storage').toString()).to.equal('$unhealthy');
+        });
+
+        it('should report a missing bucket', async function() {
+            const storage = require('../src/storage');
+            const types = ['accounts', 'ledgers'];
+            const present = require('../src/monitoring').monitor('ledger', notary, {
+                storage: require('../src/monitoring').bucketCheck(storage.local('test/', debug), types, debug)
+            }, debug).handler(handler);
+            var response = await present({httpMethod: 'GET', path: '/health'});
+            expect(response.statusCode).to.equal(200);
+
+            const missing = require('../src/monitoring').monitor('ledger', notary, {
+                storage: require('../src/monitoring').bucketCheck(storage.local('test/missing/', debug), types, debug)
+            }, debug).handler(handler);
+            response = await missing({httpMethod: 'GET', path: '/health'});
+            expect(response.statusCode).to.equal(503);
+            const health = bali.component(response.body);
+            expect(health.getValue('$status').toString()).to.equal('$unhealthy');
+            expect(health.getValue('$checks').getValue('$storage').toString()).to.equal('$unhealthy');
+        });
+
+    });
+
+    describe('Test Metrics Route', function() {
+
+        it('should count each request and track its latency', async function() {
+            await handler({httpMethod: 'GET', path: '/ledger/account/ABCD'});
+            await handler({httpMethod: 'GET', path: '/ledger/account/EFGH'});
+            await handler({httpMethod: 'POST', path: '/ledger/transaction/IJKL'});
+            try {
+                await handler({httpMethod: 'GET', path: '/ledger/ACCOUNT"}/broken'});
+            } catch (exception) {
+                expect(exception.message).to.equal('The engine failed.');
+            }
+
+            const response = await handler({httpMethod: 'GET', path: '/metrics'});
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.include('text/plain; version=0.0.4');
+            const text = response.body;
+            expect(text).to.include('# TYPE nebula_requests_total counter');
+            expect(text).to.include('nebula_requests_total{service="ledger",method="GET",type="account",status="200"} 2');
+            expect(text).to.include('nebula_requests_total{service="ledger",method="POST",type="transaction",status="201"} 1');
+            expect(text).to.include('nebula_requests_total{service="ledger",method="GET",type="unknown",status="503"} 1');
+            expect(text).to.include('# TYPE nebula_request_duration_seconds histogram');
+            expect(text).to.include('nebula_request_duration_seconds_bucket{service="ledger",method="GET",type="account",le="+Inf"} 2');
+            expect(text).to.include('nebula_request_duration_seconds_count{service="ledger",method="GET",type="account"} 2');
+
+            // the health and metrics routes are not counted
+            expect(text).to.not.include('type="health"');
+            expect(text).to.not.include('type="metrics"');
+        });
+
+    });
+
+});
@@ -17,6 +17,9 @@ const bali = require('bali-component-framework').api(debug);
 const account = bali.tag();
 const directory = 'test/config/';
 const notary = require('bali-digital-notary').test(account, directory, debug);
+process.env.NEBULA_STORAGE = 'local';  // run the service offline
+process.env.NEBULA_DIRECTORY = directory;
+process.env.NEBULA_REQUEST_RATE = '0';  // the lifecycle tests make writes in quick succession
 const service = require('../src/StorageService');
 
 // the POSIX end of line character
@@ -45,6 +48,7 @@ const generateDigest = function(citation) {
 
 const StorageClient = function(service, debug) {
     if (debug === null || debug === undefined) debug = 0;  // default is off
+    const revisions = {};  // the revision of each draft document that was read or written last
 
     this.nameExists = async function(name) {
         const request = {
@@ -123,6 +127,7 @@ const StorageClient = function(service, debug) {
         };
         const response = await service.handler(request);
         if (response.statusCode === 200) {
+            revisions[extractId(citation)] = response.headers['nebula-revision'];
             const source = response.body.toString('utf8');
             return bali.component(source);
         }
@@ -141,8 +146,10 @@ const StorageClient = function(service, debug) {
             path: '/repository/documents/' + extractId(citation),
             body: document.toBDN()
         };
+        if (revisions[extractId(citation)]) request.headers['nebula-revision'] = revisions[extractId(citation)];
         const response = await service.handler(request);
         if (response.statusCode > 299) throw Error('Unable to save the document: ' + response.statusCode);
+        revisions[extractId(citation)] = response.headers['nebula-revision'];
         const source = response.body.toString('utf8');
         return bali.component(source);  // return a citation to the new document
     };
@@ -305,6 +312,7 @@ const StorageClient = function(service, debug) {
             headers: {
                 'nebula-credentials': await generateCredentials(),
                 'nebula-digest': await generateDigest(bag),
+                'nebula-subdigest': await generateDigest(citation),  // covers the token of the lease
                 'accept': 'application/bali'
             },
             httpMethod: 'DELETE',
@@ -389,6 +397,11 @@ describe('Bali Nebula™ Storage Service', function() {
             // update the existing document in the repository
             expect(citation.isEqualTo(await storage.writeDocument(document))).is.true;
 
+            // an update that is not based on the current revision is rejected
+            await assert.rejects(async function() {
+                await new StorageClient(service, debug).writeDocument(document);
+            });
+
             // make sure the updated document exists in the repository
             expect(await storage.documentExists(citation)).is.true;
 
@@ -505,6 +518,70 @@ describe('Bali Nebula™ Storage Service', function() {
             expect(await storage.removeMessage(bag)).to.not.exist;
         });
 
+        it('should pass requests through the composed wrappers', async function() {
+            const sendRequest = async function(method, path, parameters, body, accept, revision) {
+                const headers = {
+                    'nebula-credentials': await generateCredentials(),
+                    'content-type': 'application/bali',
+                    'accept': accept || 'application/bali'
+                };
+                if (revision) headers['nebula-revision'] = revision;  // the draft revision an update is based on
+                return await service.handler({
+                    headers: headers,
+                    httpMethod: method,
+                    path: '/repository/' + path,
+                    queryStringParameters: parameters,
+                    body: body
+                });
+            };
+
+            // create an ordered bag with a limited capacity
+            const contract = await notary.notarizeDocument(bali.instance('/bali/examples/Bag/v1', {
+                $capacity: 2,
+                $ordering: '$fifo'
+            }));
+            const bag = await storage.writeContract(contract);
+            const path = 'messages/' + extractId(bag);
+
+            // the bag wrapper rejects a message for a full bag
+            for (var count = 1; count <= 2; count++) {
+                const message = bali.instance('/bali/examples/Message/v1', {$count: count});
+                expect((await sendRequest('POST', path, undefined, message.toBDN())).statusCode).to.equal(201);
+            }
+            const message = bali.instance('/bali/examples/Message/v1', {$count: 3});
+            expect((await sendRequest('POST', path, undefined, message.toBDN())).statusCode).to.equal(409);
+
+            // the batch wrapper removes the messages in the order they were added
+            var response = await sendRequest('DELETE', path, {count: '5'});
+            expect(response.statusCode).to.equal(200);
+            const messages = bali.component(response.body.toString('utf8'));
+            expect(messages.getSize()).to.equal(2);
+            expect(messages.getItem(1).getValue('$count').getReal()).to.equal(1);
+            expect(messages.getItem(2).getValue('$count').getReal()).to.equal(2);
+
+            // the polling wrapper holds a request on the empty bag until the wait runs out
+            const start = Date.now();
+            response = await sendRequest('DELETE', path, {wait: '1'});
+            expect(response.statusCode).to.equal(404);
+            expect(Date.now() - start).to.be.at.least(950);
+
+            // the negotiation wrapper converts the response for a JSON client
+            response = await sendRequest('GET', path, undefined, undefined, 'application/json');
+            expect(response.statusCode).to.equal(200);
+            expect(response.headers['content-type']).to.include('application/json');
+
+            // the quota wrapper accepts the same draft saved many times
+            const document = bali.instance('/bali/examples/Draft/v1', {$count: 1});
+            const draft = 'documents/' + extractId(await notary.citeDocument(document));
+            var revision;  // the revision that was saved last
+            for (var i = 0; i < 3; i++) {
+                response = await sendRequest('PUT', draft, undefined, document.toBDN(), undefined, revision);
+                expect(response.statusCode).to.be.below(300);
+                revision = response.headers['nebula-revision'];
+            }
+            expect((await sendRequest('DELETE', draft)).statusCode).to.equal(200);
+        });
+
         it('should reset the notary', async function() {
             await notary.forgetKey();
         });
@@ -0,0 +1,225 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+
+/*
+ * This module provides the in-memory fakes and fixtures that are shared by the tests of the
+ * wrappers around the document repository.  The fake repository implements the parts of the
+ * storage mechanism API used by the wrappers, and its handler implements the parts of the
+ * repository engine that they pass requests on to:
+ * <pre>
+ *   PUT /repository/documents/<tag>/<version> - saves a draft document
+ *   DELETE /repository/documents/<tag>/<version> - deletes a draft document
+ *   POST /repository/messages/<tag>/<version> - adds a message to a bag
+ *   DELETE /repository/messages/<tag>/<version> - removes a message from a bag
+ *   DELETE /repository/messages/<tag>/<version>/<tag>/<version> - deletes a message being processed
+ * </pre>
+ * Any other request succeeds (with a 201 status for a PUT or POST) with a body of "passed".  The messages in each bag are removed in
+ * the order they were added.
+ */
+const bali = require('bali-component-framework').api();
+
+
+/**
+ * This function creates a new in-memory document repository.
+ *
+ * @param {DigitalNotary} notary An optional digital notary used to cite the stored contracts.
+ * @returns {MemoryRepository} The new in-memory repository.
+ */
+const MemoryRepository = function(notary) {
+    const contracts = {};
+    const documents = {};
+    const bags = {};
+
+    const bagOf = function(bag) {
+        if (!bags[key(bag)]) bags[key(bag)] = {available: [], processing: {}};
+        return bags[key(bag)];
+    };
+
+    this.contractExists = async function(citation) {
+        return !!contracts[key(citation)];
+    };
+
+    this.readContract = async function(citation) {
+        return contracts[key(citation)];
+    };
+
+    this.writeContract = async function(contract) {
+        const document = contract.getValue('$document');
+        const citation = notary ? await notary.citeDocument(document) : citeComponent(document);
+        contracts[key(citation)] = contract;
+        return citation;
+    };
+
+    this.readDocument = async function(citation) {
+        return documents[key(citation)];
+    };
+
+    this.writeDocument = async function(document) {
+        const citation = citeComponent(document);
+        documents[key(citation)] = document;
+        return citation;
+    };
+
+    this.deleteDocument = async function(citation) {
+        const document = documents[key(citation)];
+        delete documents[key(citation)];
+        return document;
+    };
+
+    this.messageAvailable = async function(bag) {
+        return bagOf(bag).available.length > 0;
+    };
+
+    this.messageCount = async function(bag) {
+        return bagOf(bag).available.length;
+    };
+
+    this.addMessage = async function(bag, message) {
+        bagOf(bag).available.push(message);
+    };
+
+    this.removeMessage = async function(bag) {
+        const message = bagOf(bag).available.shift();
+        if (message) bagOf(bag).processing[key(citeComponent(message))] = message;
+        return message;
+    };
+
+    this.returnMessage = async function(bag, message) {
+        delete bagOf(bag).processing[key(citeComponent(message))];
+        bagOf(bag).available.push(message);
+    };
+
+    this.deleteMessage = async function(bag, citation) {
+        const message = bagOf(bag).processing[key(citation)];
+        delete bagOf(bag).processing[key(citation)];
+        return message;
+    };
+
+    /**
+     * This method returns a fake lambda handler for the repository engine that uses this
+     * repository.
+     *
+     * @returns {Function} The fake lambda handler.
+     */
+    this.handler = function() {
+        const repository = this;
+        return async function(request) {
+            const method = String(request.httpMethod).toUpperCase();
+            const tokens = String(request.path).split('/');
+            const resource = citeResource(tokens[3], tokens[4]);
+            if (tokens[2] === 'documents' && method === 'PUT') {
+                documents[key(resource)] = bali.component(request.body);
+                return encodeResponse(201, resource.toString());
+            }
+            if (tokens[2] === 'documents' && method === 'DELETE') {
+                const document = await repository.deleteDocument(resource);
+                return document ? encodeResponse(200, document.toString()) : encodeNotFound();
+            }
+            if (tokens[2] === 'messages' && method === 'POST' && tokens.length === 5) {
+                await repository.addMessage(resource, bali.component(request.body));
+                return encodeResponse(201, resource.toString());
+            }
+            if (tokens[2] === 'messages' && method === 'DELETE' && tokens.length === 5) {
+                const message = await repository.removeMessage(resource);
+                return message ? encodeResponse(200, message.toString()) : encodeNotFound();
+            }
+            if (tokens[2] === 'messages' && method === 'DELETE' && tokens.length === 7) {
+                const message = await repository.deleteMessage(resource, citeResource(tokens[5], tokens[6]));
+                return message ? encodeResponse(200, message.toString()) : encodeNotFound();
+            }
+            return encodeResponse(['PUT', 'POST'].includes(method) ? 201 : 200, '"passed"');
+        };
+    };
+
+    return this;
+};
+MemoryRepository.prototype.constructor = MemoryRepository;
+exports.MemoryRepository = MemoryRepository;
+
+/**
+ * This function generates a new message (or any other document) of the specified type with a
+ * $count attribute and any additional attributes.
+ *
+ * @param {Number} count The count that identifies the message within a test.
+ * @param {Object} attributes Any additional attributes of the message.
+ * @param {String} type The optional type of the message (the default is a message).
+ * @returns {Catalog} The new message.
+ */
+const generateMessage = function(count, attributes, type) {
+    return bali.instance(type || '/bali/examples/Message/v1', Object.assign({
+        $count: count
+    }, attributes));
+};
+exports.generateMessage = generateMessage;
+
+/**
+ * This function generates the base32 encoded credentials that the specified notary uses to
+ * sign a request.
+ *
+ * @param {DigitalNotary} notary The digital notary of the caller.
+ * @returns {String} The encoded credentials.
+ */
+const generateCredentials = async function(notary) {
+    const decoder = bali.decoder(0);
+    const credentials = (await notary.generateCredentials()).toString();
+    return decoder.base32Encode(Buffer.from(credentials, 'utf8')).replace(/\s+/g, '');
+};
+exports.generateCredentials = generateCredentials;
+
+/**
+ * This function returns a promise that resolves after the specified number of milliseconds.
+ *
+ * @param {Number} milliseconds The number of milliseconds to wait.
+ * @returns {Promise} The promise.
+ */
+const pause = function(milliseconds) {
+    return new Promise(function(resolve) { setTimeout(resolve, milliseconds); });
+};
+exports.pause = pause;
+
+
+// PRIVATE FUNCTIONS
+
+const key = function(citation) {
+    return citation.getValue('$tag') + '/' + citation.getValue('$version');
+};
+
+const citeComponent = function(component) {
+    return bali.catalog({
+        $tag: component.getParameter('$tag'),
+        $version: component.getParameter('$version')
+    });
+};
+
+const citeResource = function(tag, version) {
+    try {
+        return bali.catalog({
+            $tag: bali.component('#' + tag),
+            $version: bali.component(version)
+        });
+    } catch (cause) {
+        return bali.catalog({$tag: bali.text(String(tag)), $version: bali.text(String(version))});
+    }
+};
+
+const encodeNotFound = function() {
+    return encodeResponse(404, '[$status: 404, $text: "Not Found"]');
+};
+
+const encodeResponse = function(status, body) {
+    return {
+        headers: {
+            'content-length': Buffer.byteLength(body, 'utf8'),
+            'content-type': 'application/bali'
+        },
+        statusCode: status,
+        body: body
+    };
+};